@@ -19,6 +19,8 @@ const path = require("path");
 // Config y utils
 const config = require("./config/config");
 const logger = require("./utils/logger");
+const { attachWebhookSigner } = require("./utils/webhookSigner");
+const { publicLookup } = require("./utils/privateNetwork");
 
 // Servicios (módulos existentes movidos a /services)
 const { QueueManager } = require("./services/queue.service");
@@ -27,24 +29,44 @@ const BatchQueueManager = require("./services/batch.service");
 const WhatsAppService = require("./services/whatsapp"); // ✅ Cambio a estructura modular
 const MessageReceiver = require("./services/receiver.service");
 const MessageSender = require("./services/message.service");
+const OutboundDispatcher = require("./services/outbound.service");
+const RateLimiter = require("./services/rate-limiter.service");
+const { createMediaStorage } = require("./services/media-storage.service");
+const AudioTranscoder = require("./services/transcoder.service");
+const SessionEventBus = require("./services/event-bus.service");
+const WebSocketGateway = require("./services/websocket.service");
+const ApiKeyStore = require("./services/api-key.service");
+const WebhookService = require("./services/webhook.service");
+const DeadLetterService = require("./services/dead-letter.service");
 
 // Middleware
 const {
   errorMiddleware,
   notFoundHandler,
 } = require("./middleware/error-handler");
+const { authenticate, authenticateRequest } = require("./middleware/auth");
 
 // Controllers
 const createSessionController = require("./controllers/session.controller");
 const createMessageController = require("./controllers/message.controller");
+const createGroupController = require("./controllers/group.controller");
 const createHealthController = require("./controllers/health.controller");
 const createMetricsController = require("./controllers/metrics.controller");
+const createEventsController = require("./controllers/events.controller");
+const createApiKeyController = require("./controllers/api-key.controller");
+const createWebhookController = require("./controllers/webhook.controller");
+const createDeadLetterController = require("./controllers/dead-letter.controller");
 
 // Routes
 const registerSessionRoutes = require("./routes/session.routes");
 const registerMessageRoutes = require("./routes/message.routes");
+const registerGroupRoutes = require("./routes/group.routes");
 const registerHealthRoutes = require("./routes/health.routes");
 const registerMetricsRoutes = require("./routes/metrics.routes");
+const registerEventsRoutes = require("./routes/events.routes");
+const registerApiKeyRoutes = require("./routes/api-key.routes");
+const registerWebhookRoutes = require("./routes/webhook.routes");
+const registerDeadLetterRoutes = require("./routes/dead-letter.routes");
 
 // Redis global para cache
 const redisClient = new Redis({
@@ -73,6 +95,27 @@ const axiosHttp = axios.create({
   timeout: config.httpTimeout,
 });
 
+// 🪝 Axios de los webhooks propios: sin el interceptor de Laravel (cada
+// endpoint firma con su secreto) y sin conexiones a direcciones privadas
+const webhookAgentOptions = {
+  keepAlive: true,
+  maxSockets: config.httpMaxSockets,
+  lookup: config.webhooks?.allowPrivateHosts ? undefined : publicLookup,
+};
+const webhookHttp = axios.create({
+  httpAgent: new http.Agent(webhookAgentOptions),
+  httpsAgent: new https.Agent(webhookAgentOptions),
+  timeout: config.httpTimeout,
+});
+
+// ✍️ X-Signature / X-Timestamp en todo lo que va a Laravel
+attachWebhookSigner(
+  axiosHttp,
+  config.laravelApi,
+  config.webhookSigning,
+  logger
+);
+
 async function bootstrap() {
   try {
     logger.info("🔧 Inicializando módulos...");
@@ -84,13 +127,26 @@ async function bootstrap() {
         redisPort: config.redisPort,
         maxConcurrentMessages: config.maxConcurrentMessages,
         messageProcessingTimeout: config.messageProcessingTimeout,
+        outbound: config.outbound,
+        webhooks: config.webhooks,
       },
       logger
     );
     await queueManager.initialize();
 
     // 2) Cache
-    const cacheManager = new CacheManager(redisClient, logger);
+    const cacheManager = new CacheManager(redisClient, logger, {
+      idempotencyTtl: config.idempotency?.ttlSeconds,
+      accountTtl: config.accountCache?.staleTtlSeconds,
+    });
+
+    // 2b) Bus de eventos en tiempo real
+    const eventBus = new SessionEventBus(cacheManager, logger);
+
+    // Con varias réplicas, SSE / WS reciben eventos de sesiones de otro nodo
+    if (config.cluster?.enabled) {
+      await eventBus.bridge(redisClient);
+    }
 
     // 3) Batch
     const batchQueueManager = new BatchQueueManager(
@@ -102,6 +158,7 @@ async function bootstrap() {
         batchInterval: config.batchInterval,
         priorityInterval: config.priorityInterval,
         lifecycle: config.lifecycle,
+        outbound: config.outbound,
       }
     );
 
@@ -113,30 +170,100 @@ async function bootstrap() {
       queueManager,
       cacheManager,
       batchQueueManager,
-      config
+      config,
+      eventBus
     );
 
     // 5) Message receiver / sender
+    const mediaStorage = createMediaStorage(config.mediaStorage, {
+      localDir: path.join(__dirname, "audios"),
+      logger,
+    });
+    const transcoder = config.transcoding?.enabled
+      ? new AudioTranscoder(logger, config.transcoding)
+      : null;
     const messageReceiver = new MessageReceiver(
       axiosHttp,
       config.laravelApi,
+      logger,
+      {
+        eventBus,
+        media: config.media,
+        storage: mediaStorage,
+        transcoder,
+        settings: whatsappService.settings,
+        messageStore: whatsappService.messageStore,
+        accountCache: whatsappService.accountCache,
+        webhookTokenIn: config.webhookSigning?.tokenIn,
+      }
+    );
+    const messageSender = new MessageSender(whatsappService.sessions, logger, {
+      settings: whatsappService.settings,
+      transcoder,
+      messageStore: whatsappService.messageStore,
+      receipts: whatsappService.receiptTracker,
+    });
+    const rateLimiter = new RateLimiter(
+      redisClient,
+      whatsappService.settings,
       logger
     );
-    const messageSender = new MessageSender(whatsappService.sessions, logger);
 
     // 6) Procesar mensajes desde la cola
-    queueManager.processMessages(async (jobData) => {
+    queueManager.processMessages(async (jobData, job) => {
       const { msgUpdate, sessionId } = jobData;
       const msg = msgUpdate.messages[0];
-      const sock = whatsappService.sessions[sessionId];
 
-      if (!sock) {
-        throw new Error(`Socket no encontrado para sessionId: ${sessionId}`);
-      }
+      // La cola es compartida: el job puede correr en una réplica que no
+      // tiene el socket (o un reenvío desde dead-letter tras un failover).
+      // Sin socket solo se omiten el nombre del grupo y la auto-lectura.
+      const sock = whatsappService.sessions[sessionId] || null;
 
-      return await messageReceiver.processMessage(msg, sessionId, sock);
+      // eventPublished queda en el job: reintentos y reenvíos desde
+      // dead-letter no repiten el evento "message"
+      return await messageReceiver.processMessage(msg, sessionId, sock, {
+        published: Boolean(jobData.eventPublished),
+        onPublished: () => job.update({ ...job.data, eventPublished: true }),
+      });
     });
 
+    // 6a) Envíos salientes encolados
+    const outboundDispatcher = config.outbound?.queueEnabled
+      ? new OutboundDispatcher(
+          queueManager,
+          messageSender,
+          whatsappService,
+          batchQueueManager,
+          logger
+        )
+      : null;
+    outboundDispatcher?.start();
+
+    // 6b) Webhooks propios por sesión (eventos del bus → endpoints)
+    const webhookService = new WebhookService(
+      redisClient,
+      queueManager,
+      webhookHttp,
+      logger,
+      { ...config.webhooks, eventBus, storage: mediaStorage }
+    );
+    webhookService.start();
+
+    // 6c) Ownership de sesiones entre réplicas
+    await whatsappService.startOwnership();
+
+    if (config.cluster?.enabled) {
+      setInterval(
+        () =>
+          whatsappService
+            .adoptOrphanSessions()
+            .catch((err) =>
+              logger.error("❌ Error adoptando sesiones huérfanas", err)
+            ),
+        config.cluster.adoptIntervalMs
+      );
+    }
+
     // 7) Limpieza periódica de sesiones muertas
     setInterval(() => whatsappService.cleanupDeadSessions(), 60000);
 
@@ -148,16 +275,65 @@ async function bootstrap() {
       );
     }
 
+    // 7c) Retención de media entrante (disco o S3)
+    setInterval(async () => {
+      try {
+        const removed = await mediaStorage.sweep(config.audioMaxAge);
+
+        if (removed > 0) {
+          logger.info("🧹 Media antigua eliminada", {
+            removed,
+            storage: mediaStorage.driver,
+          });
+        }
+      } catch (err) {
+        logger.error("❌ Error en limpieza de media", err);
+      }
+    }, config.audioCleanupInterval);
+
     // 8) Express
     const app = express();
-    app.use(express.json({ limit: "10mb" }));
-    app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+    // rawBody: necesario para verificar firmas HMAC
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    app.use(express.json({ limit: "10mb", verify: keepRawBody }));
+    app.use(
+      express.urlencoded({ extended: true, limit: "10mb", verify: keepRawBody })
+    );
+
+    // 🔑 Autenticación (todo salvo config.auth.publicPaths)
+    const apiKeyStore = new ApiKeyStore(redisClient, logger);
+    app.use(authenticate(apiKeyStore, config.auth, logger));
+
+    if (config.auth?.enabled && !config.auth.bootstrapKey) {
+      logger.warn(
+        "⚠️ Autenticación activa sin API_BOOTSTRAP_KEY: solo funcionan las keys ya creadas"
+      );
+    }
+
+    if (
+      config.auth?.enabled &&
+      config.cluster?.enabled &&
+      !config.auth.internalSecret
+    ) {
+      logger.warn(
+        "⚠️ Cluster con autenticación sin CLUSTER_SECRET: los reenvíos entre nodos serán rechazados"
+      );
+    }
 
     // Controllers instanciados con servicios
     const sessionController = createSessionController(whatsappService, logger);
     const messageController = createMessageController(
       whatsappService,
       messageSender,
+      logger,
+      outboundDispatcher,
+      rateLimiter
+    );
+    const groupController = createGroupController(
+      whatsappService.groupService,
+      whatsappService,
       logger
     );
     const healthController = createHealthController(
@@ -170,22 +346,49 @@ async function bootstrap() {
       cacheManager,
       logger
     );
+    const apiKeyController = createApiKeyController(apiKeyStore, logger);
+    const webhookController = createWebhookController(webhookService, logger);
+    const deadLetterController = createDeadLetterController(
+      new DeadLetterService(queueManager, logger),
+      logger
+    );
+    const eventsController = createEventsController(
+      eventBus,
+      logger,
+      config.realtime
+    );
 
     // 9) Registrar rutas
     registerSessionRoutes(app, sessionController);
     registerMessageRoutes(app, messageController);
+    registerGroupRoutes(app, groupController);
     registerHealthRoutes(app, healthController);
     registerMetricsRoutes(app, metricsController);
+    registerEventsRoutes(app, eventsController);
+    registerApiKeyRoutes(app, apiKeyController);
+    registerWebhookRoutes(app, webhookController);
+    registerDeadLetterRoutes(app, deadLetterController);
 
     // 10) Middleware de manejo de errores (DEBE IR AL FINAL)
     app.use(notFoundHandler);
     app.use(errorMiddleware(logger));
 
     // 11) Restaurar sesiones activas desde Laravel
+    await whatsappService.migrateAuthState();
     await whatsappService.restoreSessions();
 
-    // 12) Iniciar servidor
-    app.listen(config.port, () => {
+    // 12) Iniciar servidor (+ WebSocket sobre el mismo puerto)
+    const wsGateway = new WebSocketGateway(eventBus, logger, {
+      path: config.realtime?.wsPath,
+      heartbeatMs: config.realtime?.heartbeatMs,
+      replayLimit: config.realtime?.replayLimit,
+      authenticate: (req) =>
+        authenticateRequest(req, apiKeyStore, config.auth, {
+          allowQueryToken: true,
+        }),
+    });
+
+    const server = app.listen(config.port, () => {
       logger.info("🚀 Servidor iniciado correctamente", {
         port: config.port,
         laravelApi: config.laravelApi,
@@ -195,16 +398,21 @@ async function bootstrap() {
       });
     });
 
+    wsGateway.attach(server);
+
     // Shutdown graceful
     async function gracefulShutdown(signal) {
       logger.info(`🛑 Recibido ${signal}, cerrando gracefulmente...`);
 
       try {
+        wsGateway.close();
+        await eventBus.close();
         await batchQueueManager.flushAll?.();
         batchQueueManager.stopBatchProcessor?.();
 
         // ✅ Preservar credenciales en shutdown (para reconexión automática)
         await whatsappService.closeAllSessions(true); // preserveAuth = true
+        await whatsappService.stopOwnership();
         await queueManager.shutdown();
 
         logger.info("✅ Shutdown completado");
@@ -17,10 +17,67 @@ module.exports = {
   // redisHost: 'redis_saas', // nombre del servicio Docker
   redisPort: process.env.REDIS_PORT || 6379,
 
+  // 🔑 Autenticación de la API (keys en Redis, administrables en /auth/keys)
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== "false",
+    bootstrapKey: process.env.API_BOOTSTRAP_KEY || null, // scope "*", para crear las primeras keys
+    internalSecret: process.env.CLUSTER_SECRET || null, // firma de peticiones entre réplicas
+    maxSkewSeconds: 300, // ventana de X-Timestamp en peticiones firmadas
+    publicPaths: ["/health"],
+  },
+
+  // ✍️ Firma HMAC de todo lo que se envía a Laravel (X-Signature / X-Timestamp)
+  webhookSigning: {
+    secret: process.env.WEBHOOK_SECRET || null,
+    // Rotación: el secreto anterior sigue firmando (doble firma) hasta esta
+    // fecha (ISO o epoch ms); vacío = hasta quitarlo
+    previousSecret: process.env.WEBHOOK_SECRET_PREVIOUS || null,
+    previousSecretUntil: process.env.WEBHOOK_SECRET_PREVIOUS_UNTIL || null,
+    // webhook_token de /whatsapp-webhook: "path" (/{token}) o "header"
+    // (X-Webhook-Token + session_id en el form, fuera de la URL)
+    tokenIn: process.env.WEBHOOK_TOKEN_IN || "path",
+  },
+
+  // 🔐 Credenciales Baileys: "file" (auth/<sessionId>) o "redis"
+  authStore: {
+    driver: process.env.AUTH_STORE || "file",
+    migrateFromFiles: process.env.AUTH_STORE_MIGRATE !== "false", // auth/ → Redis
+  },
+
   // 🚦 Configuración de colas
   maxConcurrentMessages: 5,
   messageProcessingTimeout: 30000, // 30 segundosdock
-  // 🧹 Limpieza
+  // 📎 Media entrante (imagen, video, audio, documento, sticker)
+  media: {
+    maxBytes: 16 * 1024 * 1024, // más grande → solo metadata (media_skipped)
+    delivery: process.env.MEDIA_DELIVERY || "multipart", // "url" → media_url firmada (s3)
+    audioFormat: process.env.INBOUND_AUDIO_FORMAT || null, // "mp3" | "wav" | null (Opus)
+  },
+
+  // 🎚️ ffmpeg: audio saliente → nota de voz OGG/Opus, entrante → mp3/wav
+  transcoding: {
+    enabled: process.env.TRANSCODING_ENABLED !== "false",
+    ffmpegPath: process.env.FFMPEG_PATH || null, // default: ffmpeg del PATH
+    ffprobePath: process.env.FFPROBE_PATH || null,
+    timeoutMs: 15000, // por paso; muy por debajo del timeout del job saliente
+  },
+
+  // 🗄️ Dónde se guarda la media: "local" (src/audios) o "s3" (S3 / MinIO)
+  mediaStorage: {
+    driver: process.env.MEDIA_STORAGE || "local",
+    signedUrlTtlSeconds: 3600,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT, // MinIO: http://minio:9000
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false", // requerido por MinIO
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || "media/",
+    },
+  },
+
+  // 🧹 Limpieza (aplica a toda la media, en disco o S3)
   audioCleanupInterval: 15 * 60 * 1000, // 15 minutos
   audioMaxAge: 3600 * 1000, // 1 hora
 
@@ -42,6 +99,87 @@ module.exports = {
     batchInterval: 5000,
   },
 
+  // 📡 Eventos en tiempo real (SSE / WebSocket)
+  realtime: {
+    wsPath: "/ws",
+    heartbeatMs: 25000, // ping a clientes SSE/WS
+    replayLimit: 50, // máximo de eventos lifecycle a re-enviar
+  },
+
+  // 📮 Envíos salientes encolados (POST /send-message)
+  outbound: {
+    queueEnabled: true, // false → envío directo como antes
+    attempts: 3, // reintentos de Bull antes de dead-letter
+    backoffMs: 5000,
+    concurrency: 5,
+    keepCompleted: 1000, // jobs completados consultables en /outbound/:jobId
+    batchEndpoint: "/whatsapp/outbound/batch",
+    batchInterval: 2000,
+    maxPending: 5000, // resultados retenidos con Laravel caído
+  },
+
+  // 📬 Confirmaciones de entrega / lectura de mensajes enviados
+  receipts: {
+    batchEndpoint: "/whatsapp/receipts/batch",
+    batchInterval: 2000,
+    ttlSeconds: 7 * 24 * 3600, // GET /message/:wamId/status deja de responder después
+    maxPending: 5000, // con Laravel caído se descartan las más antiguas
+  },
+
+  // 🚦 Rate limit y pacing anti-ban (defaults; cada sesión los ajusta
+  // con PATCH /session/:sessionId/settings)
+  rateLimit: {
+    enabled: true,
+    mode: "queue", // "queue" → se encola con delay, "reject" → 429 + Retry-After
+    perMinute: 30, // 0 = sin límite
+    perHour: 600,
+    newContactsPerDay: 50, // números a los que nunca se les escribió
+    minDelayMs: 1000, // pausa aleatoria entre envíos
+    maxDelayMs: 3000,
+    typing: false, // "escribiendo..." antes de cada texto
+    typingMsPerChar: 40,
+    typingMaxMs: 5000,
+  },
+
+  // 📥 Recepción (defaults; ajustables por sesión en /session/:sessionId/settings)
+  receiver: {
+    autoRead: false, // marcar como leído (✓✓ azul) al reenviar a Laravel
+  },
+
+  // 👥 Grupos (opt-in por sesión): recibir y enviar a @g.us
+  groups: {
+    enabled: false,
+  },
+
+  // 🪝 Webhooks propios por sesión (CRM, analytics...) además de Laravel
+  webhooks: {
+    allowHttp: process.env.WEBHOOKS_ALLOW_HTTP === "true", // solo desarrollo
+    allowPrivateHosts: process.env.WEBHOOKS_ALLOW_PRIVATE === "true", // solo desarrollo (SSRF)
+    maxPerSession: 10,
+    timeoutMs: 10000,
+    concurrency: 5,
+    keepFailed: 1000, // entregas que agotaron reintentos, para inspección
+    retry: { attempts: 5, backoffMs: 10000 }, // default de cada endpoint
+    circuitBreaker: { threshold: 5, resetMs: 60000 }, // por endpoint
+  },
+
+  // 🗃️ Mensajes recientes en Redis (reply_to_wam_id y reintentos de Baileys)
+  messageStore: {
+    ttlSeconds: 3 * 24 * 3600, // solo se pueden citar mensajes de los últimos 3 días
+  },
+
+  // 🔁 Idempotencia de /send-message (Idempotency-Key / idempotency_key)
+  idempotency: {
+    ttlSeconds: 24 * 3600, // cuánto se recuerda el resultado original
+  },
+
+  // 🗂️ Cuenta de Laravel por sesión (webhook_token): memoria + Redis
+  accountCache: {
+    ttlSeconds: 300, // después se vuelve a consultar a Laravel
+    memoryTtlMs: 30000, // cache local de cada réplica
+    staleTtlSeconds: 30 * 24 * 3600, // último token conocido si Laravel no responde
+  },
+
   // 💾 CACHE - Reducir consultas a Laravel
   cacheEnabled: true,
   cacheTtl: {
@@ -69,6 +207,16 @@ module.exports = {
     maxDurationMs: 60 * 60 * 1000, // 60 minutos
   },
 
+  // 🏷️ Multi-réplica: lease por sesión en Redis
+  cluster: {
+    enabled: process.env.CLUSTER_ENABLED === "true",
+    nodeId: process.env.NODE_ID || null, // default: hostname-pid
+    advertiseUrl: process.env.NODE_ADVERTISE_URL || null, // ej: http://10.0.0.5:4000
+    leaseTtlMs: 30000, // lease expira si el nodo deja de latir
+    heartbeatIntervalMs: 10000,
+    adoptIntervalMs: 30000, // buscar sesiones de nodos caídos
+  },
+
   // 🧹 Limpieza de sesiones
   cleanup: {
     inactivityGraceMs: 120000, // 2 minutos de gracia antes de contar
@@ -0,0 +1,67 @@
+// src/controllers/api-key.controller.js
+
+/**
+ * Controller de API keys (scope keys:admin):
+ * - Listar keys (sin secretos)
+ * - Crear key (el secreto se devuelve una sola vez)
+ * - Cambiar nombre / scopes
+ * - Revocar
+ */
+
+const { asyncHandler } = require("../middleware/validators");
+const { SCOPES } = require("../services/api-key.service");
+
+module.exports = function createApiKeyController(apiKeyStore, logger) {
+  return {
+    // GET /auth/keys
+    list: asyncHandler(async (req, res) => {
+      const keys = await apiKeyStore.list();
+      return res.json({ success: true, keys, available_scopes: SCOPES });
+    }),
+
+    // POST /auth/keys { name, scopes }
+    create: asyncHandler(async (req, res) => {
+      const key = await apiKeyStore.create({
+        name: req.body.name,
+        scopes: req.body.scopes,
+      });
+
+      logger.info("🔑 API key creada vía API", {
+        keyId: key.id,
+        createdBy: req.auth?.keyId,
+      });
+
+      return res.status(201).json({ success: true, key });
+    }),
+
+    // PATCH /auth/keys/:keyId { name?, scopes? }
+    update: asyncHandler(async (req, res) => {
+      const key = await apiKeyStore.update(req.params.keyId, {
+        name: req.body.name,
+        scopes: req.body.scopes,
+      });
+
+      if (!key) {
+        return res.status(404).json({ success: false, error: "KEY_NOT_FOUND" });
+      }
+
+      return res.json({ success: true, key });
+    }),
+
+    // DELETE /auth/keys/:keyId
+    revoke: asyncHandler(async (req, res) => {
+      const revoked = await apiKeyStore.revoke(req.params.keyId);
+
+      if (!revoked) {
+        return res.status(404).json({ success: false, error: "KEY_NOT_FOUND" });
+      }
+
+      logger.info("🔑 API key revocada vía API", {
+        keyId: req.params.keyId,
+        revokedBy: req.auth?.keyId,
+      });
+
+      return res.json({ success: true });
+    }),
+  };
+};
@@ -0,0 +1,113 @@
+// src/controllers/dead-letter.controller.js
+
+/**
+ * Controller del dead-letter de mensajes entrantes (scope dlq:admin):
+ * - Listar fallidos (error y respuesta de Laravel del último intento)
+ * - Ver payload e intentos de un job
+ * - Reenviar uno o todos (filtro por sesión y rango de tiempo)
+ * - Purgar
+ */
+
+const { asyncHandler } = require("../middleware/validators");
+const { AppError } = require("../middleware/error-handler");
+const { parseTimestamp } = require("../utils/helpers");
+
+const DLQ_MAX_LIMIT = 200;
+
+/**
+ * 🔎 { session_id, from, to } → filtro (from/to en epoch ms o ISO)
+ *
+ * @throws {AppError} 400 si el rango no es válido
+ */
+const parseFilter = ({ session_id, from, to } = {}) => {
+  const fromMs = parseTimestamp(from);
+  const toMs = parseTimestamp(to);
+
+  if ((from && fromMs === null) || (to && toMs === null)) {
+    throw new AppError("from/to deben ser epoch ms o fechas ISO", 400);
+  }
+
+  return { sessionId: session_id || null, from: fromMs, to: toMs };
+};
+
+module.exports = function createDeadLetterController(deadLetter, logger) {
+  return {
+    // GET /dlq/messages?session_id=&from=&to=&limit=&offset=
+    list: asyncHandler(async (req, res) => {
+      const filter = parseFilter(req.query);
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || 50,
+        DLQ_MAX_LIMIT
+      );
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const { total, truncated, jobs } = await deadLetter.list(filter, {
+        limit,
+        offset,
+      });
+
+      return res.json({ success: true, total, truncated, limit, offset, jobs });
+    }),
+
+    // GET /dlq/messages/:jobId
+    show: asyncHandler(async (req, res) => {
+      const job = await deadLetter.get(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+      }
+
+      return res.json({ success: true, job });
+    }),
+
+    // POST /dlq/messages/:jobId/replay
+    replay: asyncHandler(async (req, res) => {
+      const replayed = await deadLetter.replay(req.params.jobId);
+
+      if (!replayed) {
+        return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+      }
+
+      return res.json({ success: true, job_id: req.params.jobId });
+    }),
+
+    // POST /dlq/messages/replay { session_id?, from?, to? }
+    replayAll: asyncHandler(async (req, res) => {
+      const filter = parseFilter(req.body);
+      const result = await deadLetter.replayMatching(filter);
+
+      logger.info("🔁 Replay de dead-letter vía API", {
+        ...filter,
+        ...result,
+        requestedBy: req.auth?.keyId,
+      });
+
+      return res.json({ success: true, ...result });
+    }),
+
+    // DELETE /dlq/messages/:jobId
+    remove: asyncHandler(async (req, res) => {
+      const removed = await deadLetter.remove(req.params.jobId);
+
+      if (!removed) {
+        return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+      }
+
+      return res.json({ success: true });
+    }),
+
+    // DELETE /dlq/messages?session_id=&from=&to=
+    purge: asyncHandler(async (req, res) => {
+      const filter = parseFilter(req.query);
+      const result = await deadLetter.purge(filter);
+
+      logger.info("🧹 Purga de dead-letter vía API", {
+        ...filter,
+        ...result,
+        requestedBy: req.auth?.keyId,
+      });
+
+      return res.json({ success: true, ...result });
+    }),
+  };
+};
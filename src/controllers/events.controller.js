@@ -0,0 +1,53 @@
+// src/controllers/events.controller.js
+
+/**
+ * Controller de eventos en tiempo real:
+ * - Stream SSE por sesión (QR, estado, lifecycle, mensajes)
+ */
+
+module.exports = function createEventsController(eventBus, logger, options) {
+  const heartbeatMs = options?.heartbeatMs || 25000;
+  const replayLimit = options?.replayLimit || 50;
+
+  const writeEvent = (res, event) => {
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  return {
+    // GET /session/:sessionId/events?replay=20
+    async stream(req, res) {
+      const { sessionId } = req.params;
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+
+      const { replay } = req.query;
+      const count =
+        replay === "true" || replay === ""
+          ? replayLimit
+          : Math.min(parseInt(replay, 10) || 0, replayLimit);
+
+      // Lo que llegue durante el replay se envía después, sin repetir
+      const { unsubscribe, ready } = eventBus.subscribeWithReplay(
+        sessionId,
+        count,
+        (event) => writeEvent(res, event)
+      );
+
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+
+      await ready;
+    },
+  };
+};
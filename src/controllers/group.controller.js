@@ -0,0 +1,174 @@
+// src/controllers/group.controller.js
+
+/**
+ * Controller de grupos (requiere groups.enabled en la sesión):
+ * - Listar, crear y consultar grupos
+ * - Participantes: agregar / quitar / promover / degradar
+ * - Nombre, descripción y foto
+ * - Link de invitación y salir del grupo
+ */
+
+const { validateSession, asyncHandler } = require("../middleware/validators");
+const { routeToOwner } = require("../middleware/session-routing");
+const { AppError } = require("../middleware/error-handler");
+const { isPublicUrl } = require("../utils/privateNetwork");
+
+const SUBJECT_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 2048;
+
+/**
+ * 👥 ":groupJid" acepta "120363..." o "120363...@g.us"
+ */
+const toGroupJid = (value) =>
+  value.endsWith("@g.us") ? value : `${value}@g.us`;
+
+/**
+ * ✅ Lista de números con código de país
+ */
+const validateParticipants = (participants) => {
+  if (
+    !Array.isArray(participants) ||
+    participants.length === 0 ||
+    participants.some((n) => !/^\+?[0-9]{8,15}$/.test(String(n)))
+  ) {
+    throw new AppError(
+      "participants debe ser una lista de números con código de país",
+      400
+    );
+  }
+};
+
+const validateText = (value, field, max) => {
+  if (typeof value !== "string" || value.length > max) {
+    throw new AppError(
+      `${field} debe ser texto de hasta ${max} caracteres`,
+      400
+    );
+  }
+};
+
+module.exports = function createGroupController(
+  groupService,
+  whatsappService,
+  logger
+) {
+  /**
+   * 🔁 Sesión conectada (en este nodo o reenviada al dueño) + handler
+   */
+  const groupAction = (run) => [
+    routeToOwner(whatsappService),
+    validateSession(whatsappService),
+    asyncHandler(async (req, res) => {
+      const groupJid = req.params.groupJid
+        ? toGroupJid(req.params.groupJid)
+        : null;
+
+      const result = await run(req, groupJid);
+
+      return res.json({ success: true, ...result });
+    }),
+  ];
+
+  return {
+    // GET /session/:sessionId/groups
+    list: groupAction(async (req) => ({
+      groups: await groupService.list(req.sessionId),
+    })),
+
+    // POST /session/:sessionId/groups { subject, participants }
+    create: groupAction(async (req) => {
+      const { subject, participants } = req.body;
+
+      validateText(subject, "subject", SUBJECT_MAX_LENGTH);
+      validateParticipants(participants);
+
+      return {
+        group: await groupService.create(req.sessionId, subject, participants),
+      };
+    }),
+
+    // GET /session/:sessionId/groups/:groupJid
+    info: groupAction(async (req, groupJid) => ({
+      group: await groupService.metadata(req.sessionId, groupJid),
+    })),
+
+    // PATCH /session/:sessionId/groups/:groupJid { subject?, description? }
+    update: groupAction(async (req, groupJid) => {
+      const { subject, description } = req.body;
+
+      if (subject === undefined && description === undefined) {
+        throw new AppError("Enviar subject y/o description", 400);
+      }
+
+      if (subject !== undefined) {
+        validateText(subject, "subject", SUBJECT_MAX_LENGTH);
+      }
+
+      if (description !== undefined) {
+        validateText(description, "description", DESCRIPTION_MAX_LENGTH);
+      }
+
+      return {
+        group: await groupService.update(req.sessionId, groupJid, {
+          subject,
+          description,
+        }),
+      };
+    }),
+
+    // POST /session/:sessionId/groups/:groupJid/participants
+    // { action: add|remove|promote|demote, participants }
+    participants: groupAction(async (req, groupJid) => {
+      const { action, participants } = req.body;
+
+      validateParticipants(participants);
+
+      return {
+        results: await groupService.updateParticipants(
+          req.sessionId,
+          groupJid,
+          participants,
+          action
+        ),
+      };
+    }),
+
+    // PUT /session/:sessionId/groups/:groupJid/picture { image_url }
+    picture: groupAction(async (req, groupJid) => {
+      // Baileys lee { url } también de archivos locales: solo URLs públicas
+      if (!isPublicUrl(req.body.image_url)) {
+        throw new AppError("image_url debe ser una URL http(s) pública", 400);
+      }
+
+      await groupService.updatePicture(
+        req.sessionId,
+        groupJid,
+        req.body.image_url
+      );
+
+      return {};
+    }),
+
+    // GET /session/:sessionId/groups/:groupJid/invite
+    invite: groupAction(async (req, groupJid) =>
+      groupService.inviteLink(req.sessionId, groupJid)
+    ),
+
+    // POST /session/:sessionId/groups/:groupJid/invite/revoke
+    revokeInvite: groupAction(async (req, groupJid) =>
+      groupService.revokeInvite(req.sessionId, groupJid)
+    ),
+
+    // POST /session/:sessionId/groups/:groupJid/leave
+    leave: groupAction(async (req, groupJid) => {
+      await groupService.leave(req.sessionId, groupJid);
+
+      logger.info("👥 Grupo abandonado vía API", {
+        sessionId: req.sessionId,
+        groupJid,
+      });
+
+      return {};
+    }),
+  };
+};
@@ -2,21 +2,108 @@
 
 /**
  * Controller de mensajes:
- * - Envío desde Laravel
+ * - Envío desde Laravel (encolado, o directo con sync: true)
  * - Envío rápido (legacy)
+ * - Estado de envíos encolados
+ * - Rate limit por sesión (encola con delay o responde 429)
+ * - Reaccionar, editar y eliminar mensajes
+ * - Estado de entrega / lectura de mensajes enviados
+ * - Marcar como leído y presencia (escribiendo / grabando / en línea)
  */
 
-const { validateSession, asyncHandler } = require("../middleware/validators");
+const {
+  validateSession,
+  validateOutboundPayload,
+  asyncHandler,
+} = require("../middleware/validators");
+const { routeToOwner } = require("../middleware/session-routing");
+const { idempotent } = require("../middleware/idempotency");
+const { RESERVED_HEADER } = require("../services/rate-limiter.service");
+const { AppError } = require("../middleware/error-handler");
+const { INTERNAL_KEY_ID } = require("../middleware/auth");
+
+// Valores de la API → presencia de Baileys
+const CHAT_PRESENCE = {
+  typing: "composing",
+  recording: "recording",
+  paused: "paused",
+};
+const AVAILABILITY = { online: "available", offline: "unavailable" };
 
 module.exports = function createMessageController(
   whatsappService,
   messageService,
-  logger
+  logger,
+  outboundDispatcher = null,
+  rateLimiter = null
 ) {
+  /**
+   * 📮 Envío reenviado por el dispatcher de salientes de otra réplica
+   *
+   * El header de cupo reservado solo vale en peticiones firmadas por otra
+   * réplica: el dispatcher ya consumió el cupo al encolar y reintenta con Bull
+   */
+  const fromDispatcher = (req) =>
+    req.auth?.keyId === INTERNAL_KEY_ID && Boolean(req.get(RESERVED_HEADER));
+
+  /**
+   * 🚦 Reserva el envío; si no se puede, responde 429 y retorna null
+   */
+  const reserveSend = async (req, res, waId, canQueue) => {
+    if (!rateLimiter || fromDispatcher(req)) return { delayMs: 0 };
+
+    const limit = await rateLimiter.consume(req.sessionId, waId, { canQueue });
+
+    if (!limit.allowed) {
+      res.set("Retry-After", String(Math.ceil(limit.delayMs / 1000)));
+      res.status(429).json({
+        success: false,
+        error: "RATE_LIMITED",
+        reason: limit.reason,
+        retry_after_ms: limit.delayMs,
+      });
+      return null;
+    }
+
+    return limit;
+  };
+
+  /**
+   * 🔁 Acción sobre un mensaje existente (wa_id + wam_id), siempre directa
+   */
+  const messageAction = (run) => [
+    routeToOwner(whatsappService),
+    validateSession(whatsappService),
+    asyncHandler(async (req, res) => {
+      const waId = req.body.waId || req.body.wa_id;
+      const wamId = req.body.wam_id;
+
+      if (!waId || !wamId) {
+        return res.status(400).json({
+          success: false,
+          error: !waId ? "WA_ID_MISSING" : "WAM_ID_MISSING",
+        });
+      }
+
+      const response = await run(req, waId, wamId);
+
+      return res.json({
+        success: true,
+        wam_id: wamId,
+        response,
+      });
+    }),
+  ];
+
   return {
     // ✅ Usa validateSession middleware + asyncHandler
+    // routeToOwner reenvía al nodo dueño si la sesión vive en otra réplica
+    // idempotent devuelve el resultado original si Laravel reintenta
     sendFromLaravel: [
+      routeToOwner(whatsappService),
+      idempotent(whatsappService.cacheManager),
       validateSession(whatsappService),
+      validateOutboundPayload,
       asyncHandler(async (req, res) => {
         const { wa_id, waId } = req.body;
 
@@ -29,27 +116,195 @@ module.exports = function createMessageController(
           });
         }
 
-        const result = await messageService.sendMessage({
+        const params = {
           ...req.body,
           waId: finalWaId,
           sessionId: req.sessionId,
+        };
+
+        const sync = !outboundDispatcher || req.body.sync === true;
+        const limit = await reserveSend(req, res, finalWaId, !sync);
+        if (!limit) return;
+
+        if (sync) {
+          // El worker que lo reenvió ya reintenta: un solo intento aquí
+          const result = await messageService.sendMessage(
+            params,
+            fromDispatcher(req) ? { retries: 1 } : {}
+          );
+          return res.json(result);
+        }
+
+        const { jobId, status } = await outboundDispatcher.enqueue(
+          params,
+          req.idempotencyKey,
+          limit.delayMs
+        );
+
+        return res.status(202).json({
+          success: true,
+          queued: true,
+          job_id: jobId,
+          status,
+          delay_ms: limit.delayMs,
         });
+      }),
+    ],
+
+    // GET /outbound/:jobId
+    outboundStatus: asyncHandler(async (req, res) => {
+      if (!outboundDispatcher) {
+        return res.status(404).json({
+          success: false,
+          error: "OUTBOUND_QUEUE_DISABLED",
+        });
+      }
+
+      const job = await outboundDispatcher.getStatus(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: "JOB_NOT_FOUND" });
+      }
+
+      return res.json({ success: true, job });
+    }),
 
-        return res.json(result);
+    // GET /message/:wamId/status
+    messageStatus: asyncHandler(async (req, res) => {
+      const receipt = await whatsappService.receiptTracker.getStatus(
+        req.params.wamId
+      );
+
+      if (!receipt) {
+        return res
+          .status(404)
+          .json({ success: false, error: "MESSAGE_NOT_TRACKED" });
+      }
+
+      return res.json({ success: true, ...receipt });
+    }),
+
+    // POST /message/react { session_id, wa_id, wam_id, emoji, from_me? }
+    react: messageAction((req, waId, wamId) =>
+      messageService.react(
+        req.sessionId,
+        waId,
+        wamId,
+        req.body.emoji,
+        req.body.from_me !== false
+      )
+    ),
+
+    // POST /message/edit { session_id, wa_id, wam_id, text }
+    edit: messageAction((req, waId, wamId) => {
+      if (typeof req.body.text !== "string" || !req.body.text.trim()) {
+        throw new AppError("text es requerido", 400);
+      }
+
+      return messageService.editMessage(
+        req.sessionId,
+        waId,
+        wamId,
+        req.body.text
+      );
+    }),
+
+    // POST /message/delete { session_id, wa_id, wam_id }
+    remove: messageAction((req, waId, wamId) =>
+      messageService.deleteMessage(req.sessionId, waId, wamId)
+    ),
+
+    // POST /chat/read { session_id, wa_id, wam_ids? }
+    markRead: [
+      routeToOwner(whatsappService),
+      validateSession(whatsappService),
+      asyncHandler(async (req, res) => {
+        const waId = req.body.waId || req.body.wa_id;
+        const { wam_ids } = req.body;
+
+        if (!waId) {
+          return res
+            .status(400)
+            .json({ success: false, error: "WA_ID_MISSING" });
+        }
+
+        if (wam_ids !== undefined && !Array.isArray(wam_ids)) {
+          throw new AppError("wam_ids debe ser una lista", 400);
+        }
+
+        const count = await messageService.markRead(
+          req.sessionId,
+          waId,
+          wam_ids
+        );
+
+        return res.json({ success: true, marked: count });
+      }),
+    ],
+
+    // POST /chat/presence { session_id, wa_id, state: typing|recording|paused }
+    chatPresence: [
+      routeToOwner(whatsappService),
+      validateSession(whatsappService),
+      asyncHandler(async (req, res) => {
+        const waId = req.body.waId || req.body.wa_id;
+        const presence = CHAT_PRESENCE[req.body.state];
+
+        if (!waId) {
+          return res
+            .status(400)
+            .json({ success: false, error: "WA_ID_MISSING" });
+        }
+
+        if (!presence) {
+          throw new AppError(
+            `state debe ser uno de ${Object.keys(CHAT_PRESENCE).join(", ")}`,
+            400
+          );
+        }
+
+        await messageService.sendChatPresence(req.sessionId, waId, presence);
+
+        return res.json({ success: true, state: req.body.state });
+      }),
+    ],
+
+    // POST /session/:sessionId/presence { availability: online|offline }
+    availability: [
+      routeToOwner(whatsappService),
+      validateSession(whatsappService),
+      asyncHandler(async (req, res) => {
+        const presence = AVAILABILITY[req.body.availability];
+
+        if (!presence) {
+          throw new AppError(
+            `availability debe ser uno de ${Object.keys(AVAILABILITY).join(
+              ", "
+            )}`,
+            400
+          );
+        }
+
+        await messageService.setAvailability(req.sessionId, presence);
+
+        return res.json({
+          success: true,
+          availability: req.body.availability,
+        });
       }),
     ],
 
     // ✅ Usa validateSession middleware + asyncHandler
     sendQuick: [
+      routeToOwner(whatsappService),
       validateSession(whatsappService),
       asyncHandler(async (req, res) => {
         const { to, message } = req.body;
+        const waId = to.replace("@s.whatsapp.net", "");
 
-        await messageService.sendText(
-          req.sessionId,
-          to.replace("@s.whatsapp.net", ""),
-          message
-        );
+        if (!(await reserveSend(req, res, waId, false))) return;
+
+        await messageService.sendText(req.sessionId, waId, message);
 
         return res.json({ success: true });
       }),
@@ -2,24 +2,34 @@
 
 /**
  * Controller de sesiones:
- * - Crear sesión
+ * - Crear sesión (QR o pairing code)
  * - Eliminar sesión
  * - Listar / info
+ * - Render del QR vigente
+ * - Historial de lifecycle
+ * - Configuración por sesión (rate limit, pacing)
  */
 
-const path = require("path");
-const fs = require("fs");
 const {
   validateWebhookToken,
+  validatePhoneNumber,
   validateSessionId,
   asyncHandler,
 } = require("../middleware/validators");
+const { routeToOwner } = require("../middleware/session-routing");
+const { QR_FORMATS, renderQr } = require("../utils/qrRenderer");
+const { parseTimestamp } = require("../utils/helpers");
+
+const LIFECYCLE_MAX_LIMIT = 50;
 
 module.exports = function createSessionController(whatsappService, logger) {
   return {
     // POST /start - ✅ Usa validateWebhookToken + asyncHandler
+    // Con phone_number vincula por pairing code y lo devuelve en la respuesta
     start: [
       validateWebhookToken,
+      validatePhoneNumber,
+      routeToOwner(whatsappService),
       asyncHandler(async (req, res) => {
         const {
           session_id: existingSession,
@@ -32,32 +42,56 @@ module.exports = function createSessionController(whatsappService, logger) {
         // reset QR state + borrar auth viejo
         if (whatsappService.qrManager) {
           whatsappService.qrManager.clearQrState(sessionId);
+          whatsappService.qrManager.clearPairing(sessionId);
         }
 
-        const authDir = path.join(__dirname, "..", "..", "auth", sessionId);
-        if (fs.existsSync(authDir)) {
-          fs.rmSync(authDir, { recursive: true, force: true });
-        }
+        await whatsappService.resetAuth(sessionId);
 
         whatsappService.tokens[sessionId] = webhook_token;
 
-        await whatsappService.startSession(sessionId, user_id, webhook_token);
+        const phoneNumber = req.phoneNumber;
+
+        // Registrar la espera antes de arrancar para no perder el primer código
+        const pairingPromise = phoneNumber
+          ? whatsappService.waitForPairingCode(sessionId)
+          : null;
+
+        await whatsappService.startSession(sessionId, user_id, webhook_token, {
+          phoneNumber,
+        });
+
+        if (!pairingPromise) {
+          return res.json({ success: true, session_id: sessionId });
+        }
+
+        const pairing = await pairingPromise;
 
-        return res.json({ success: true, session_id: sessionId });
+        return res.json({
+          success: true,
+          session_id: sessionId,
+          mode: "pairing_code",
+          pairing_code: pairing?.code || null,
+          expires_at: pairing
+            ? new Date(pairing.expiresAt).toISOString()
+            : null,
+        });
       }),
     ],
 
     // POST /delete-session - ✅ Usa asyncHandler
-    delete: asyncHandler(async (req, res) => {
-      const { session_id } = req.body;
+    delete: [
+      routeToOwner(whatsappService),
+      asyncHandler(async (req, res) => {
+        const { session_id } = req.body;
 
-      if (!session_id) {
-        return res.status(400).json({ error: "session_id requerido" });
-      }
+        if (!session_id) {
+          return res.status(400).json({ error: "session_id requerido" });
+        }
 
-      await whatsappService.deleteSession(session_id);
-      return res.json({ success: true });
-    }),
+        await whatsappService.deleteSession(session_id);
+        return res.json({ success: true });
+      }),
+    ],
 
     // GET /sessions
     list(req, res) {
@@ -78,5 +112,119 @@ module.exports = function createSessionController(whatsappService, logger) {
         session: info,
       });
     },
+
+    // GET /session/:sessionId/qr?format=png|svg|datauri|terminal
+    qr: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const format = req.query.format || "png";
+
+      if (!QR_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: "QR_FORMAT_INVALID",
+          message: `format debe ser uno de: ${QR_FORMATS.join(", ")}`,
+        });
+      }
+
+      const snapshot = await whatsappService.getQrSnapshot(sessionId);
+
+      if (snapshot.expired) {
+        return res.status(410).json({
+          success: false,
+          error: "QR_EXPIRED",
+          expires_at: new Date(snapshot.expiresAt).toISOString(),
+        });
+      }
+
+      if (!snapshot.qr) {
+        return res.status(404).json({
+          success: false,
+          error: "QR_NOT_FOUND",
+        });
+      }
+
+      const { contentType, body } = await renderQr(snapshot.qr, format);
+      const expiresAt = new Date(snapshot.expiresAt).toISOString();
+
+      res.set("Cache-Control", "no-store");
+
+      if (format === "datauri") {
+        return res.json({
+          success: true,
+          session_id: sessionId,
+          data_uri: body,
+          expires_at: expiresAt,
+        });
+      }
+
+      res.set("X-QR-Expires-At", expiresAt);
+      return res.type(contentType).send(body);
+    }),
+
+    // GET /session/:sessionId/lifecycle?event=a,b&from=&to=&limit=&offset=
+    lifecycle: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const { event, from, to } = req.query;
+
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || 20,
+        LIFECYCLE_MAX_LIMIT
+      );
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const fromMs = parseTimestamp(from);
+      const toMs = parseTimestamp(to);
+
+      if ((from && fromMs === null) || (to && toMs === null)) {
+        return res.status(400).json({
+          success: false,
+          error: "INVALID_TIME_RANGE",
+          message: "from/to deben ser epoch ms o fechas ISO",
+        });
+      }
+
+      const { total, events } = await whatsappService.getLifecycleHistory(
+        sessionId,
+        {
+          events: event ? String(event).split(",") : null,
+          from: fromMs,
+          to: toMs,
+          limit,
+          offset,
+        }
+      );
+
+      return res.json({
+        success: true,
+        session_id: sessionId,
+        total,
+        limit,
+        offset,
+        events,
+      });
+    }),
+
+    // GET /session/:sessionId/settings
+    settings: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const settings = await whatsappService.getSessionSettings(sessionId);
+      return res.json({ success: true, session_id: sessionId, settings });
+    }),
+
+    // PATCH /session/:sessionId/settings - merge parcial por sección
+    updateSettings: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const settings = await whatsappService.updateSessionSettings(
+        sessionId,
+        req.body
+      );
+      return res.json({ success: true, session_id: sessionId, settings });
+    }),
+
+    // GET /sessions/lifecycle/summary
+    lifecycleSummary: asyncHandler(async (req, res) => {
+      const summary = await whatsappService.getLifecycleSummary();
+      return res.json({ success: true, summary });
+    }),
   };
 };
@@ -0,0 +1,75 @@
+// src/controllers/webhook.controller.js
+
+/**
+ * Controller de webhooks propios por sesión:
+ * - Listar endpoints (sin secretos, con estado de entrega y del circuito)
+ * - Registrar endpoint (el secreto se devuelve una sola vez)
+ * - Cambiar URL, eventos, headers, formato, reintentos o enabled
+ * - Eliminar
+ */
+
+const { asyncHandler } = require("../middleware/validators");
+const { EVENTS } = require("../services/webhook.service");
+
+module.exports = function createWebhookController(webhookService, logger) {
+  return {
+    // GET /session/:sessionId/webhooks
+    list: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const webhooks = await webhookService.list(sessionId);
+
+      return res.json({
+        success: true,
+        session_id: sessionId,
+        webhooks,
+        available_events: Object.keys(EVENTS),
+      });
+    }),
+
+    // POST /session/:sessionId/webhooks { url, events, headers?, format?, retry?, enabled? }
+    create: asyncHandler(async (req, res) => {
+      const { sessionId } = req.params;
+      const webhook = await webhookService.create(sessionId, req.body);
+
+      logger.info("🪝 Webhook registrado vía API", {
+        sessionId,
+        webhookId: webhook.id,
+        createdBy: req.auth?.keyId,
+      });
+
+      return res.status(201).json({ success: true, webhook });
+    }),
+
+    // PATCH /session/:sessionId/webhooks/:webhookId
+    update: asyncHandler(async (req, res) => {
+      const { sessionId, webhookId } = req.params;
+      const webhook = await webhookService.update(
+        sessionId,
+        webhookId,
+        req.body
+      );
+
+      if (!webhook) {
+        return res
+          .status(404)
+          .json({ success: false, error: "WEBHOOK_NOT_FOUND" });
+      }
+
+      return res.json({ success: true, webhook });
+    }),
+
+    // DELETE /session/:sessionId/webhooks/:webhookId
+    remove: asyncHandler(async (req, res) => {
+      const { sessionId, webhookId } = req.params;
+      const removed = await webhookService.remove(sessionId, webhookId);
+
+      if (!removed) {
+        return res
+          .status(404)
+          .json({ success: false, error: "WEBHOOK_NOT_FOUND" });
+      }
+
+      return res.json({ success: true });
+    }),
+  };
+};
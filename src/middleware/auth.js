@@ -0,0 +1,268 @@
+// src/middleware/auth.js
+
+/**
+ * 🔐 Middleware de Autenticación
+ *
+ * Todas las rutas (salvo las públicas, ej: /health) requieren credenciales:
+ * - API key estática: Authorization: Bearer <secret> (o X-Api-Key;
+ *   ?api_key= solo en /session/:sessionId/events y el upgrade de WebSocket)
+ * - Petición firmada (Laravel): X-Key-Id, X-Timestamp, X-Nonce y
+ *   X-Signature = HMAC-SHA256(secret, "<timestamp>.<nonce>.<METHOD>.<path>.<body>")
+ *   Timestamp dentro de la ventana y nonce de un solo uso (anti-replay)
+ *
+ * Cada key tiene scopes; las rutas exigen el suyo con requireScope.
+ * Las peticiones reenviadas entre réplicas se firman con el secreto interno.
+ */
+
+const crypto = require("crypto");
+const { AppError } = require("./error-handler");
+
+const INTERNAL_KEY_ID = "internal";
+const BOOTSTRAP_KEY_ID = "bootstrap";
+
+// EventSource y WebSocket del navegador no pueden mandar headers: solo ahí
+// se acepta ?api_key= (en el resto quedaría en logs y proxies)
+const QUERY_TOKEN_PATH = /^\/session\/[^/]+\/events\/?$/;
+
+// Headers de credenciales (no se reenvían entre réplicas)
+const AUTH_HEADERS = [
+  "authorization",
+  "x-api-key",
+  "x-key-id",
+  "x-timestamp",
+  "x-nonce",
+  "x-signature",
+];
+
+/**
+ * ✍️ Firma HMAC de una petición
+ */
+const computeSignature = (secret, { timestamp, nonce, method, path, body }) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(
+      `${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body || ""}`
+    )
+    .digest("hex");
+
+/**
+ * 📝 Headers de una petición firmada
+ *
+ * @param {string} body - Exactamente el body que se envía (JSON serializado)
+ */
+const signRequest = (keyId, secret, { method, path, body }) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  return {
+    "x-key-id": keyId,
+    "x-timestamp": timestamp,
+    "x-nonce": nonce,
+    "x-signature": computeSignature(secret, {
+      timestamp,
+      nonce,
+      method,
+      path,
+      body,
+    }),
+  };
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hasScope = (auth, scope) =>
+  Boolean(auth?.scopes?.includes("*") || auth?.scopes?.includes(scope));
+
+/**
+ * 🎟️ Bearer / X-Api-Key / ?api_key= (solo si allowQueryToken)
+ */
+const extractToken = (req, allowQueryToken = false) => {
+  const header = req.headers.authorization || "";
+
+  if (header.toLowerCase().startsWith("bearer ")) {
+    return header.slice(7).trim();
+  }
+
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+
+  return allowQueryToken
+    ? new URL(req.originalUrl || req.url, "http://localhost").searchParams.get(
+        "api_key"
+      )
+    : null;
+};
+
+/**
+ * ✍️ Verifica una petición firmada
+ */
+const verifySignature = async (req, apiKeyStore, options) => {
+  const keyId = req.headers["x-key-id"];
+  const timestamp = req.headers["x-timestamp"];
+  const nonce = req.headers["x-nonce"];
+  const signature = req.headers["x-signature"];
+  const maxSkew = options.maxSkewSeconds || 300;
+
+  if (!keyId || !timestamp || !nonce) {
+    throw new AppError(
+      "Firma incompleta: X-Key-Id, X-Timestamp y X-Nonce",
+      401
+    );
+  }
+
+  if (
+    !Number.isFinite(Number(timestamp)) ||
+    Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkew
+  ) {
+    throw new AppError("X-Timestamp fuera de la ventana permitida", 401);
+  }
+
+  // "internal" = otra réplica (solo si hay secreto interno configurado)
+  const key =
+    keyId === INTERNAL_KEY_ID
+      ? options.internalSecret && {
+          id: INTERNAL_KEY_ID,
+          secret: options.internalSecret,
+          scopes: ["*"],
+        }
+      : await apiKeyStore.get(keyId);
+
+  if (!key) {
+    throw new AppError("API key inválida", 401);
+  }
+
+  const expected = computeSignature(key.secret, {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl || req.url,
+    body: req.rawBody?.toString("utf8"),
+  });
+
+  if (!safeEqual(signature, expected)) {
+    throw new AppError("Firma inválida", 401);
+  }
+
+  if (!(await apiKeyStore.claimNonce(keyId, nonce, maxSkew * 2))) {
+    throw new AppError("Nonce ya utilizado", 401);
+  }
+
+  return { keyId: key.id, name: key.name || null, scopes: key.scopes };
+};
+
+/**
+ * 🔎 Credenciales de una petición (HTTP o upgrade de WebSocket)
+ *
+ * @param {object} [context]
+ * @param {boolean} [context.allowQueryToken] - Aceptar ?api_key= (SSE / WS)
+ * @returns {Promise<{ keyId: string|null, scopes: string[], method: string }>}
+ * @throws {AppError} 401 si faltan o no son válidas
+ */
+const authenticateRequest = async (
+  req,
+  apiKeyStore,
+  options = {},
+  { allowQueryToken = false } = {}
+) => {
+  if (!options.enabled) {
+    return { keyId: null, scopes: ["*"], method: "disabled" };
+  }
+
+  if (req.headers["x-signature"]) {
+    const auth = await verifySignature(req, apiKeyStore, options);
+    return { ...auth, method: "hmac" };
+  }
+
+  const token = extractToken(req, allowQueryToken);
+
+  if (!token) {
+    throw new AppError("Autenticación requerida", 401);
+  }
+
+  if (options.bootstrapKey && safeEqual(token, options.bootstrapKey)) {
+    return { keyId: BOOTSTRAP_KEY_ID, scopes: ["*"], method: "bootstrap" };
+  }
+
+  const key = await apiKeyStore.findBySecret(token);
+
+  if (!key) {
+    throw new AppError("API key inválida", 401);
+  }
+
+  return {
+    keyId: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    method: "static",
+  };
+};
+
+/**
+ * 🔐 Autentica toda petición que no sea pública; deja req.auth
+ *
+ * @param {ApiKeyStore} apiKeyStore
+ * @param {object} options - config.auth
+ */
+const authenticate = (apiKeyStore, options = {}, logger = console) => {
+  const publicPaths = new Set(options.publicPaths || ["/health"]);
+
+  return async (req, res, next) => {
+    if (publicPaths.has(req.path)) return next();
+
+    try {
+      req.auth = await authenticateRequest(req, apiKeyStore, options, {
+        allowQueryToken:
+          req.method === "GET" && QUERY_TOKEN_PATH.test(req.path),
+      });
+
+      // Último uso de keys administradas (no bootstrap / interna)
+      const managed =
+        req.auth.method === "static" ||
+        (req.auth.method === "hmac" && req.auth.keyId !== INTERNAL_KEY_ID);
+
+      if (managed) {
+        apiKeyStore.touch(req.auth.keyId);
+      }
+
+      next();
+    } catch (error) {
+      logger.warn("🔐 Petición rechazada", {
+        method: req.method,
+        path: req.path,
+        ip: req.ip,
+        reason: error.message,
+      });
+      next(error);
+    }
+  };
+};
+
+/**
+ * 🎯 Exige un scope a la key autenticada
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (hasScope(req.auth, scope)) return next();
+
+    next(
+      new AppError(`La API key no tiene el scope ${scope}`, 403, {
+        required: scope,
+      })
+    );
+  };
+};
+
+module.exports = {
+  INTERNAL_KEY_ID,
+  AUTH_HEADERS,
+  authenticate,
+  authenticateRequest,
+  requireScope,
+  hasScope,
+  signRequest,
+};
@@ -0,0 +1,80 @@
+// src/middleware/idempotency.js
+
+/**
+ * 🔁 Middleware de Idempotencia
+ *
+ * Laravel reintenta /send-message en timeouts. Con un `Idempotency-Key`
+ * (header) o `idempotency_key` (body) el primer resultado exitoso se guarda
+ * en Redis y las repeticiones lo reciben sin volver a enviar.
+ */
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * 🔁 Deduplica peticiones con la misma idempotency key por sesión
+ */
+const idempotent = (cacheManager) => {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key") || req.body?.idempotency_key;
+
+    if (!key) {
+      return next();
+    }
+
+    if (typeof key !== "string" || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: "IDEMPOTENCY_KEY_INVALID",
+        message: `idempotency_key debe ser texto de hasta ${MAX_KEY_LENGTH} caracteres`,
+      });
+    }
+
+    const sessionId = req.sessionId || req.body?.session_id;
+
+    try {
+      const claim = await cacheManager.claimIdempotencyKey(sessionId, key);
+
+      if (!claim.claimed) {
+        const record = claim.record;
+
+        if (record?.status === "completed") {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(record.statusCode).json(record.body);
+        }
+
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          success: false,
+          error: "REQUEST_IN_PROGRESS",
+          status: "in_progress",
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    req.idempotencyKey = key;
+
+    // Guardar el resultado exitoso; en error liberar la key para reintentar
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      const persist =
+        statusCode >= 200 && statusCode < 300
+          ? cacheManager.completeIdempotencyKey(sessionId, key, {
+              statusCode,
+              body,
+            })
+          : cacheManager.releaseIdempotencyKey(sessionId, key);
+
+      persist.catch(() => {});
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent,
+};
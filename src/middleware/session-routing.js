@@ -0,0 +1,113 @@
+// src/middleware/session-routing.js
+
+/**
+ * 🧭 Middleware de Enrutamiento de Sesiones
+ *
+ * Con varias réplicas, cada sesión vive en un solo nodo (ver
+ * OwnershipManager). Si la sesión pedida es de otro nodo vivo, la petición
+ * se reenvía a ese nodo y se devuelve su respuesta tal cual.
+ *
+ * La petición reenviada se firma con el secreto interno (config.auth): el
+ * nonce del cliente ya se consumió en este nodo.
+ */
+
+const { AppError } = require("./error-handler");
+const { INTERNAL_KEY_ID, AUTH_HEADERS, signRequest } = require("./auth");
+const { RESERVED_HEADER } = require("../services/rate-limiter.service");
+
+const FORWARDED_HEADER = "x-forwarded-by-node";
+
+// Headers que no deben viajar al nodo dueño
+const HOP_BY_HOP = ["host", "connection", "content-length", "keep-alive"];
+
+/**
+ * 📨 Envía una petición HTTP al nodo dueño (sin seguir rebotando)
+ *
+ * @param {import("axios").AxiosInstance} axios
+ * @param {object} owner - Resultado de OwnershipManager.getOwner
+ * @param {object} request
+ * @param {string} [request.secret] - Secreto interno para firmar
+ * @returns {Promise<import("axios").AxiosResponse>} - Cualquier status HTTP
+ */
+const forwardToNode = async (
+  axios,
+  owner,
+  { method, path, body, headers, secret = null }
+) => {
+  const forwardHeaders = { ...headers, [FORWARDED_HEADER]: owner.nodeId };
+  HOP_BY_HOP.forEach((name) => delete forwardHeaders[name]);
+
+  // Se firma exactamente el JSON que viaja
+  const data = body === undefined ? undefined : JSON.stringify(body);
+
+  if (secret) {
+    AUTH_HEADERS.forEach((name) => delete forwardHeaders[name]);
+    Object.assign(
+      forwardHeaders,
+      signRequest(INTERNAL_KEY_ID, secret, { method, path, body: data })
+    );
+  }
+
+  return await axios.request({
+    method,
+    url: `${owner.url}${path}`,
+    data,
+    headers: { ...forwardHeaders, "content-type": "application/json" },
+    validateStatus: () => true,
+  });
+};
+
+/**
+ * 🧭 Reenvía la petición al nodo dueño de la sesión
+ */
+const routeToOwner = (whatsappService) => {
+  return async (req, res, next) => {
+    const sessionId = req.params.sessionId || req.body?.session_id;
+
+    // Ya reenviada una vez: nunca rebotar entre nodos
+    if (
+      !sessionId ||
+      req.get(FORWARDED_HEADER) ||
+      whatsappService.isLocalSession(sessionId)
+    ) {
+      return next();
+    }
+
+    try {
+      const owner = await whatsappService.getSessionOwner(sessionId);
+
+      if (!owner?.alive || owner.local || !owner.url) {
+        return next();
+      }
+
+      // Al ir firmada como interna, el nodo dueño confiaría en este header:
+      // solo el dispatcher de salientes puede ponerlo, nunca el cliente
+      const headers = { ...req.headers };
+      delete headers[RESERVED_HEADER];
+
+      const response = await forwardToNode(whatsappService.axios, owner, {
+        method: req.method,
+        path: req.originalUrl,
+        body: req.body,
+        headers,
+        secret: whatsappService.config?.auth?.internalSecret,
+      });
+
+      res.set("X-Served-By-Node", owner.nodeId);
+      return res.status(response.status).send(response.data);
+    } catch (error) {
+      return next(
+        new AppError("No se pudo contactar al nodo dueño de la sesión", 502, {
+          sessionId,
+          error: error.message,
+        })
+      );
+    }
+  };
+};
+
+module.exports = {
+  FORWARDED_HEADER,
+  forwardToNode,
+  routeToOwner,
+};
@@ -7,8 +7,12 @@
  * - Validación de sesión activa
  * - Validación de socket conectado
  * - Validación de webhook_token
+ * - Validación de número para pairing code
+ * - Validación del payload de mensajes con estructura (interactivos)
  */
 
+const { validateMessagePayload } = require("../utils/messagePayload");
+
 /**
  * 🔐 Valida que exista webhook_token y user_id
  */
@@ -25,6 +29,50 @@ const validateWebhookToken = (req, res, next) => {
   next();
 };
 
+/**
+ * 📞 Valida el phone_number opcional para vincular con pairing code
+ *
+ * Deja el número normalizado (solo dígitos, con código de país) en req.phoneNumber
+ */
+const validatePhoneNumber = (req, res, next) => {
+  const { phone_number } = req.body;
+
+  if (phone_number === undefined || phone_number === null) {
+    req.phoneNumber = null;
+    return next();
+  }
+
+  const phoneNumber = String(phone_number).replace(/[^0-9]/g, "");
+
+  if (phoneNumber.length < 8 || phoneNumber.length > 15) {
+    return res.status(400).json({
+      success: false,
+      error: "PHONE_NUMBER_INVALID",
+      message: "phone_number debe incluir código de país (8 a 15 dígitos)",
+    });
+  }
+
+  req.phoneNumber = phoneNumber;
+  next();
+};
+
+/**
+ * 🧩 Valida el payload de /send-message según su type
+ */
+const validateOutboundPayload = (req, res, next) => {
+  const errors = validateMessagePayload(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_PAYLOAD",
+      details: errors,
+    });
+  }
+
+  next();
+};
+
 /**
  * 🔌 Valida que la sesión tenga un socket conectado
  */
@@ -87,6 +135,8 @@ const asyncHandler = (fn) => {
 
 module.exports = {
   validateWebhookToken,
+  validatePhoneNumber,
+  validateOutboundPayload,
   validateSession,
   validateSessionId,
   asyncHandler,
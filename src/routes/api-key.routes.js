@@ -0,0 +1,12 @@
+// src/routes/api-key.routes.js
+
+const { requireScope } = require("../middleware/auth");
+
+module.exports = function registerApiKeyRoutes(app, controller) {
+  const admin = requireScope("keys:admin");
+
+  app.get("/auth/keys", admin, controller.list);
+  app.post("/auth/keys", admin, controller.create);
+  app.patch("/auth/keys/:keyId", admin, controller.update);
+  app.delete("/auth/keys/:keyId", admin, controller.revoke);
+};
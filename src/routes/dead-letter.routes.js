@@ -0,0 +1,14 @@
+// src/routes/dead-letter.routes.js
+
+const { requireScope } = require("../middleware/auth");
+
+module.exports = function registerDeadLetterRoutes(app, controller) {
+  const admin = requireScope("dlq:admin");
+
+  app.get("/dlq/messages", admin, controller.list);
+  app.post("/dlq/messages/replay", admin, controller.replayAll);
+  app.delete("/dlq/messages", admin, controller.purge);
+  app.get("/dlq/messages/:jobId", admin, controller.show);
+  app.post("/dlq/messages/:jobId/replay", admin, controller.replay);
+  app.delete("/dlq/messages/:jobId", admin, controller.remove);
+};
@@ -0,0 +1,11 @@
+// src/routes/events.routes.js
+
+const { requireScope } = require("../middleware/auth");
+
+module.exports = function registerEventsRoutes(app, controller) {
+  app.get(
+    "/session/:sessionId/events",
+    requireScope("events:read"),
+    controller.stream
+  );
+};
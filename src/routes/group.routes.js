@@ -0,0 +1,38 @@
+// src/routes/group.routes.js
+
+const { requireScope } = require("../middleware/auth");
+
+module.exports = function registerGroupRoutes(app, controller) {
+  const read = requireScope("groups:read");
+  const write = requireScope("groups:write");
+
+  app.get("/session/:sessionId/groups", read, controller.list);
+  app.post("/session/:sessionId/groups", write, controller.create);
+  app.get("/session/:sessionId/groups/:groupJid", read, controller.info);
+  app.patch("/session/:sessionId/groups/:groupJid", write, controller.update);
+  app.post(
+    "/session/:sessionId/groups/:groupJid/participants",
+    write,
+    controller.participants
+  );
+  app.put(
+    "/session/:sessionId/groups/:groupJid/picture",
+    write,
+    controller.picture
+  );
+  app.get(
+    "/session/:sessionId/groups/:groupJid/invite",
+    read,
+    controller.invite
+  );
+  app.post(
+    "/session/:sessionId/groups/:groupJid/invite/revoke",
+    write,
+    controller.revokeInvite
+  );
+  app.post(
+    "/session/:sessionId/groups/:groupJid/leave",
+    write,
+    controller.leave
+  );
+};
@@ -1,6 +1,19 @@
 // src/routes/message.routes.js
 
+const { requireScope } = require("../middleware/auth");
+
 module.exports = function registerMessageRoutes(app, controller) {
-  app.post("/send-message", controller.sendFromLaravel);
-  app.post("/send", controller.sendQuick);
+  const send = requireScope("messages:send");
+  const read = requireScope("messages:read");
+
+  app.post("/send-message", send, controller.sendFromLaravel);
+  app.post("/send", send, controller.sendQuick);
+  app.get("/outbound/:jobId", read, controller.outboundStatus);
+  app.get("/message/:wamId/status", read, controller.messageStatus);
+  app.post("/message/react", send, controller.react);
+  app.post("/message/edit", send, controller.edit);
+  app.post("/message/delete", send, controller.remove);
+  app.post("/chat/read", send, controller.markRead);
+  app.post("/chat/presence", send, controller.chatPresence);
+  app.post("/session/:sessionId/presence", send, controller.availability);
 };
@@ -1,6 +1,10 @@
 // src/routes/metrics.routes.js
 
+const { requireScope } = require("../middleware/auth");
+
 module.exports = function registerMetricsRoutes(app, controller) {
-  app.get("/metrics/batch", controller.batch);
-  app.get("/metrics/cache", controller.cache);
+  const read = requireScope("metrics:read");
+
+  app.get("/metrics/batch", read, controller.batch);
+  app.get("/metrics/cache", read, controller.cache);
 };
@@ -1,8 +1,18 @@
 // src/routes/session.routes.js
 
+const { requireScope } = require("../middleware/auth");
+
 module.exports = function registerSessionRoutes(app, controller) {
-  app.post("/start", controller.start);
-  app.post("/delete-session", controller.delete);
-  app.get("/sessions", controller.list);
-  app.get("/session/:sessionId", controller.info);
+  const read = requireScope("sessions:read");
+  const write = requireScope("sessions:write");
+
+  app.post("/start", write, controller.start);
+  app.post("/delete-session", write, controller.delete);
+  app.get("/sessions", read, controller.list);
+  app.get("/sessions/lifecycle/summary", read, controller.lifecycleSummary);
+  app.get("/session/:sessionId", read, controller.info);
+  app.get("/session/:sessionId/qr", read, controller.qr);
+  app.get("/session/:sessionId/lifecycle", read, controller.lifecycle);
+  app.get("/session/:sessionId/settings", read, controller.settings);
+  app.patch("/session/:sessionId/settings", write, controller.updateSettings);
 };
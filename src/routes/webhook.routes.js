@@ -0,0 +1,21 @@
+// src/routes/webhook.routes.js
+
+const { requireScope } = require("../middleware/auth");
+
+module.exports = function registerWebhookRoutes(app, controller) {
+  const read = requireScope("webhooks:read");
+  const write = requireScope("webhooks:write");
+
+  app.get("/session/:sessionId/webhooks", read, controller.list);
+  app.post("/session/:sessionId/webhooks", write, controller.create);
+  app.patch(
+    "/session/:sessionId/webhooks/:webhookId",
+    write,
+    controller.update
+  );
+  app.delete(
+    "/session/:sessionId/webhooks/:webhookId",
+    write,
+    controller.remove
+  );
+};
@@ -0,0 +1,147 @@
+// src/services/account-cache.service.js
+
+/**
+ * 🗂️ Cache de Cuentas de Laravel
+ *
+ * Metadata de la cuenta de cada sesión (sobre todo el webhook_token) para no
+ * consultar GET /whatsapp/account/{sessionId} en cada mensaje entrante:
+ * - Memoria por réplica (TTL corto) + Redis compartido vía CacheManager
+ * - Se vuelve a consultar a Laravel cuando la entrada deja de estar fresca
+ * - /start (y la restauración) registran el token nuevo de inmediato
+ * - Si Laravel no responde se usa el último token conocido
+ */
+
+class AccountMetadataCache {
+  /**
+   * @param {import("axios").AxiosInstance} axios
+   * @param {string} laravelApi
+   * @param {CacheManager} cacheManager
+   * @param {object} logger
+   * @param {object} options - config.accountCache
+   * @param {number} [options.ttlSeconds] - Frescura de una entrada
+   * @param {number} [options.memoryTtlMs] - Cache local por réplica
+   */
+  constructor(axios, laravelApi, cacheManager, logger, options = {}) {
+    this.axios = axios;
+    this.laravelApi = laravelApi;
+    this.cacheManager = cacheManager;
+    this.logger = logger;
+    this.ttlMs = (options.ttlSeconds ?? 300) * 1000;
+    this.memoryTtlMs = options.memoryTtlMs ?? 30000;
+
+    this.memory = new Map(); // sessionId → { account, fetchedAt, cachedAt }
+    this.inflight = new Map(); // sessionId → Promise (una consulta a la vez)
+  }
+
+  /**
+   * 🔑 webhook_token de la sesión
+   *
+   * @returns {Promise<string|null>}
+   */
+  async getWebhookToken(sessionId) {
+    const account = await this.get(sessionId);
+    return account?.webhook_token || null;
+  }
+
+  /**
+   * 🔍 Metadata de la cuenta: memoria → Redis → Laravel → último conocido
+   *
+   * @returns {Promise<object|null>} - null si Laravel no la conoce
+   * @throws {Error} Si Laravel falla y no hay dato previo
+   */
+  async get(sessionId) {
+    const local = this.memory.get(sessionId);
+
+    if (local && Date.now() - local.cachedAt < this.memoryTtlMs) {
+      return local.account;
+    }
+
+    const shared = await this.cacheManager.getAccount(sessionId);
+
+    if (shared && this.isFresh(shared)) {
+      this.remember(sessionId, shared);
+      return shared.account;
+    }
+
+    if (!this.inflight.has(sessionId)) {
+      this.inflight.set(
+        sessionId,
+        this.refresh(sessionId, shared || local).finally(() =>
+          this.inflight.delete(sessionId)
+        )
+      );
+    }
+
+    return await this.inflight.get(sessionId);
+  }
+
+  /**
+   * 🔄 Consulta a Laravel; si falla, último dato conocido
+   */
+  async refresh(sessionId, lastKnown = null) {
+    try {
+      const { data } = await this.axios.get(
+        `${this.laravelApi}/whatsapp/account/${sessionId}`
+      );
+
+      if (!data?.webhook_token) {
+        this.logger.warn("⚠️ Cuenta sin webhook_token en Laravel", {
+          sessionId,
+        });
+      }
+
+      await this.store(sessionId, data || null);
+      return data || null;
+    } catch (error) {
+      if (lastKnown?.account) {
+        // Se sirve desde memoria un rato para no insistir en cada mensaje
+        this.remember(sessionId, lastKnown);
+        this.logger.warn(
+          "⚠️ Laravel no responde: usando último token conocido",
+          {
+            sessionId,
+            fetchedAt: lastKnown.fetchedAt,
+            error: error.message,
+          }
+        );
+        return lastKnown.account;
+      }
+
+      this.logger.error("❌ Error obteniendo cuenta desde Laravel", error, {
+        sessionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ✏️ Token recibido en /start o al restaurar: reemplaza (invalida) lo
+   * cacheado en memoria y en Redis
+   */
+  async setWebhookToken(sessionId, webhookToken) {
+    const current = this.memory.get(sessionId)?.account;
+
+    if (!webhookToken || current?.webhook_token === webhookToken) return;
+
+    await this.store(sessionId, { ...current, webhook_token: webhookToken });
+
+    this.logger.debug("🗂️ webhook_token actualizado en cache", { sessionId });
+  }
+
+  async store(sessionId, account) {
+    const entry = { account, fetchedAt: Date.now() };
+
+    this.remember(sessionId, entry);
+    await this.cacheManager.setAccount(sessionId, entry);
+  }
+
+  remember(sessionId, entry) {
+    this.memory.set(sessionId, { ...entry, cachedAt: Date.now() });
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.fetchedAt < this.ttlMs;
+  }
+}
+
+module.exports = AccountMetadataCache;
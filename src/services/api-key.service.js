@@ -0,0 +1,232 @@
+// src/services/api-key.service.js
+
+/**
+ * 🔑 Store de API Keys
+ *
+ * Keys de acceso a la API guardadas en Redis (compartidas entre réplicas y
+ * administrables sin redeploy vía /auth/keys):
+ * - Cada key tiene id público, secreto y scopes
+ * - El secreto sirve como Bearer (estático) o para firmar con HMAC
+ * - Nonces de peticiones firmadas (protección contra replay)
+ *
+ * El secreto se guarda en claro porque hace falta para verificar las firmas
+ * HMAC; el índice para Bearer usa su sha256.
+ */
+
+const crypto = require("crypto");
+const { AppError } = require("../middleware/error-handler");
+
+const SCOPES = [
+  "sessions:read",
+  "sessions:write",
+  "messages:send",
+  "messages:read",
+  "groups:read",
+  "groups:write",
+  "webhooks:read",
+  "webhooks:write",
+  "events:read",
+  "metrics:read",
+  "dlq:admin",
+  "keys:admin",
+];
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+class ApiKeyStore {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {object} logger
+   */
+  constructor(redis, logger) {
+    this.redis = redis;
+    this.logger = logger;
+  }
+
+  keys = {
+    index: () => "apikeys",
+    lastUsed: () => "apikeys:last_used",
+    record: (keyId) => `apikey:${keyId}`,
+    bySecret: (hash) => `apikey:secret:${hash}`,
+    nonce: (keyId, nonce) => `auth:nonce:${keyId}:${nonce}`,
+  };
+
+  /**
+   * ➕ Crea una key (el secreto solo se devuelve aquí)
+   *
+   * @param {object} data
+   * @param {string} data.name - Descripción (ej: "laravel-prod")
+   * @param {string[]} data.scopes - Ver SCOPES ("*" = todos)
+   * @returns {Promise<object>} - Key pública + secret
+   */
+  async create({ name, scopes }) {
+    this.validate({ name, scopes });
+
+    const record = {
+      id: `key_${crypto.randomBytes(8).toString("hex")}`,
+      name,
+      scopes,
+      secret: `bq_${crypto.randomBytes(24).toString("hex")}`,
+      created_at: Date.now(),
+    };
+
+    await this.redis
+      .multi()
+      .set(this.keys.record(record.id), JSON.stringify(record))
+      .set(this.keys.bySecret(hashSecret(record.secret)), record.id)
+      .sadd(this.keys.index(), record.id)
+      .exec();
+
+    this.logger.info("🔑 API key creada", {
+      keyId: record.id,
+      name,
+      scopes,
+    });
+
+    return { ...this.toPublic(record), secret: record.secret };
+  }
+
+  /**
+   * 🔍 Key por id (con secreto, uso interno)
+   */
+  async get(keyId) {
+    const raw = await this.redis.get(this.keys.record(keyId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * 🔍 Key por secreto (Bearer)
+   */
+  async findBySecret(secret) {
+    const keyId = await this.redis.get(this.keys.bySecret(hashSecret(secret)));
+    return keyId ? await this.get(keyId) : null;
+  }
+
+  /**
+   * 📋 Todas las keys (sin secretos)
+   */
+  async list() {
+    const ids = await this.redis.smembers(this.keys.index());
+    if (ids.length === 0) return [];
+
+    const [records, lastUsed] = await Promise.all([
+      this.redis.mget(ids.map((id) => this.keys.record(id))),
+      this.redis.hmget(this.keys.lastUsed(), ...ids),
+    ]);
+
+    return records
+      .map((raw, i) =>
+        raw
+          ? {
+              ...this.toPublic(JSON.parse(raw)),
+              last_used_at: lastUsed[i] ? Number(lastUsed[i]) : null,
+            }
+          : null
+      )
+      .filter(Boolean)
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  /**
+   * ✏️ Cambia nombre y/o scopes
+   */
+  async update(keyId, { name, scopes }) {
+    const record = await this.get(keyId);
+    if (!record) return null;
+
+    const updated = {
+      ...record,
+      ...(name !== undefined && { name }),
+      ...(scopes !== undefined && { scopes }),
+    };
+
+    this.validate(updated);
+    await this.redis.set(this.keys.record(keyId), JSON.stringify(updated));
+
+    this.logger.info("🔑 API key actualizada", {
+      keyId,
+      scopes: updated.scopes,
+    });
+
+    return this.toPublic(updated);
+  }
+
+  /**
+   * 🗑️ Revoca una key (efecto inmediato en todas las réplicas)
+   */
+  async revoke(keyId) {
+    const record = await this.get(keyId);
+    if (!record) return false;
+
+    await this.redis
+      .multi()
+      .del(this.keys.record(keyId))
+      .del(this.keys.bySecret(hashSecret(record.secret)))
+      .srem(this.keys.index(), keyId)
+      .hdel(this.keys.lastUsed(), keyId)
+      .exec();
+
+    this.logger.info("🔑 API key revocada", { keyId, name: record.name });
+
+    return true;
+  }
+
+  /**
+   * 🕒 Registra el último uso (best effort)
+   */
+  touch(keyId) {
+    this.redis.hset(this.keys.lastUsed(), keyId, Date.now()).catch((error) =>
+      this.logger.warn("⚠️ No se pudo registrar uso de API key", {
+        keyId,
+        error: error.message,
+      })
+    );
+  }
+
+  /**
+   * 🎟️ Reclama un nonce; false si ya se usó (replay)
+   */
+  async claimNonce(keyId, nonce, ttlSeconds) {
+    const result = await this.redis.set(
+      this.keys.nonce(keyId, nonce),
+      "1",
+      "EX",
+      ttlSeconds,
+      "NX"
+    );
+    return result === "OK";
+  }
+
+  /**
+   * ✅ Valida nombre y scopes
+   *
+   * @throws {AppError} 400
+   */
+  validate({ name, scopes }) {
+    const errors = [];
+
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      errors.push("name debe ser texto de hasta 100 caracteres");
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push("scopes debe ser una lista no vacía");
+    } else {
+      scopes
+        .filter((scope) => scope !== "*" && !SCOPES.includes(scope))
+        .forEach((scope) => errors.push(`scope desconocido: ${scope}`));
+    }
+
+    if (errors.length > 0) {
+      throw new AppError("API key inválida", 400, errors);
+    }
+  }
+
+  toPublic({ secret, ...record }) {
+    return record;
+  }
+}
+
+module.exports = ApiKeyStore;
+module.exports.SCOPES = SCOPES;
@@ -2,8 +2,10 @@
  * 📦 Módulo de Batch Queue
  *
  * Agrupa peticiones a Laravel para reducir carga:
- * - Batching de QR codes
+ * - Batching de QR codes (y pairing codes)
  * - Batching de status updates
+ * - Batching de resultados de envíos encolados
+ * - Batching de confirmaciones de entrega / lectura
  * - Deduplicación automática
  * - Flush periódico o por tamaño
  */
@@ -21,16 +23,28 @@ class BatchQueueManager {
     this.lifecycleEndpoint = config?.lifecycle?.batchEndpoint || null;
     this.lifecycleBatchInterval =
       config?.lifecycle?.batchInterval || this.batchInterval;
+    this.outboundEndpoint = config?.outbound?.batchEndpoint || null;
+    this.outboundBatchInterval =
+      config?.outbound?.batchInterval || this.priorityInterval;
+    this.outboundMaxPending = config?.outbound?.maxPending || 5000;
+    this.receiptEndpoint = config?.receipts?.batchEndpoint || null;
+    this.receiptBatchInterval =
+      config?.receipts?.batchInterval || this.priorityInterval;
+    this.receiptMaxPending = config?.receipts?.maxPending || 5000;
 
     // Colas de batch
-    this.qrBatch = new Map(); // sessionId -> {qr, timestamp}
+    this.qrBatch = new Map(); // sessionId -> {qr, pairingCode, phoneNumber, timestamp}
     this.statusBatch = new Map(); // sessionId -> {status, priority, timestamp}
     this.lifecycleBatch = []; // {session_id, event, meta, timestamp}
+    this.outboundBatch = []; // {session_id, job_id, message_ref, status, wam_id, error}
+    this.receiptBatch = []; // {session_id, wam_id, message_ref, wa_id, status, participant}
 
     // Timestamps
     this.lastFlushQr = 0;
     this.lastFlushStatus = 0;
     this.lastFlushLifecycle = 0;
+    this.lastFlushOutbound = 0;
+    this.lastFlushReceipt = 0;
 
     // Iniciar procesador de batches
     this.startBatchProcessor();
@@ -56,6 +70,27 @@ class BatchQueueManager {
     }
   }
 
+  /**
+   * ➕ Agrega un pairing code al batch (viaja junto a los QR)
+   */
+  addPairingCode(sessionId, code, phoneNumber) {
+    this.qrBatch.set(sessionId, {
+      qr: null,
+      pairingCode: code,
+      phoneNumber,
+      timestamp: Date.now(),
+    });
+
+    this.logger.debug("📦 Pairing code añadido a batch", {
+      sessionId,
+      batchSize: this.qrBatch.size,
+    });
+
+    if (this.qrBatch.size >= this.batchSize) {
+      this.flushQrBatch();
+    }
+  }
+
   /**
    * ➕ Agrega un status update al batch
    */
@@ -102,6 +137,46 @@ class BatchQueueManager {
     }
   }
 
+  /**
+   * 📮 Agrega el resultado final de un envío encolado
+   */
+  addOutboundResult(result) {
+    if (!this.outboundEndpoint) {
+      return;
+    }
+
+    this.outboundBatch.push({
+      ...result,
+      timestamp: Date.now(),
+    });
+
+    if (this.outboundBatch.length >= this.batchSize) {
+      this.flushOutboundBatch(true).catch((err) =>
+        this.logger.error("❌ Error forzando outbound batch", err)
+      );
+    }
+  }
+
+  /**
+   * 📬 Agrega una transición de estado de un mensaje enviado
+   */
+  addReceipt(receipt) {
+    if (!this.receiptEndpoint) {
+      return;
+    }
+
+    this.receiptBatch.push({
+      ...receipt,
+      timestamp: Date.now(),
+    });
+
+    if (this.receiptBatch.length >= this.batchSize) {
+      this.flushReceiptBatch(true).catch((err) =>
+        this.logger.error("❌ Error forzando receipt batch", err)
+      );
+    }
+  }
+
   /**
    * 🚀 Envía batch de QR codes a Laravel
    */
@@ -119,6 +194,10 @@ class BatchQueueManager {
       ([sessionId, data]) => ({
         session_id: sessionId,
         qr: data.qr,
+        ...(data.pairingCode && {
+          pairing_code: data.pairingCode,
+          phone_number: data.phoneNumber,
+        }),
       })
     );
 
@@ -149,7 +228,15 @@ class BatchQueueManager {
 
       // Re-agregar al batch para reintentar
       batch.forEach((item) => {
-        this.addQr(item.session_id, item.qr);
+        if (item.pairing_code) {
+          this.addPairingCode(
+            item.session_id,
+            item.pairing_code,
+            item.phone_number
+          );
+        } else {
+          this.addQr(item.session_id, item.qr);
+        }
       });
 
       throw error;
@@ -277,6 +364,140 @@ class BatchQueueManager {
     }
   }
 
+  /**
+   * 🚀 Envía batch de resultados de envíos encolados
+   */
+  async flushOutboundBatch(force = false) {
+    if (!this.outboundEndpoint || this.outboundBatch.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!force && now - this.lastFlushOutbound < this.outboundBatchInterval) {
+      return;
+    }
+
+    const batch = [...this.outboundBatch];
+    this.outboundBatch = [];
+    this.lastFlushOutbound = now;
+
+    try {
+      this.logger.info("📤 Enviando batch de resultados de envío", {
+        count: batch.length,
+        endpoint: this.outboundEndpoint,
+      });
+
+      const response = await this.axios.post(
+        `${this.laravelApi}${this.outboundEndpoint}`,
+        {
+          results: batch,
+        }
+      );
+
+      this.logger.info("✅ Batch de resultados de envío enviado", {
+        count: batch.length,
+        statusCode: response.status,
+      });
+    } catch (error) {
+      const status = error?.response?.status;
+
+      this.logger.error("❌ Error enviando batch de resultados", error, {
+        count: batch.length,
+        endpoint: this.outboundEndpoint,
+        status,
+      });
+
+      // 4xx: Laravel rechazó el batch, reintentarlo no cambia nada
+      if (status >= 400 && status < 500) {
+        this.logger.warn("🗑️ Batch de resultados de envío descartado", {
+          count: batch.length,
+          status,
+        });
+        throw error;
+      }
+
+      // Laravel caído: se reintenta, pero sin crecer sin límite
+      this.outboundBatch.unshift(...batch);
+      const overflow = this.outboundBatch.length - this.outboundMaxPending;
+      if (overflow > 0) {
+        this.outboundBatch.splice(0, overflow); // los más antiguos
+        this.logger.warn("🗑️ Resultados de envío pendientes descartados", {
+          dropped: overflow,
+          maxPending: this.outboundMaxPending,
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * 🚀 Envía batch de confirmaciones de entrega / lectura
+   */
+  async flushReceiptBatch(force = false) {
+    if (!this.receiptEndpoint || this.receiptBatch.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!force && now - this.lastFlushReceipt < this.receiptBatchInterval) {
+      return;
+    }
+
+    const batch = [...this.receiptBatch];
+    this.receiptBatch = [];
+    this.lastFlushReceipt = now;
+
+    try {
+      this.logger.info("📤 Enviando batch de confirmaciones", {
+        count: batch.length,
+        endpoint: this.receiptEndpoint,
+      });
+
+      const response = await this.axios.post(
+        `${this.laravelApi}${this.receiptEndpoint}`,
+        {
+          receipts: batch,
+        }
+      );
+
+      this.logger.info("✅ Batch de confirmaciones enviado", {
+        count: batch.length,
+        statusCode: response.status,
+      });
+    } catch (error) {
+      const status = error?.response?.status;
+
+      this.logger.error("❌ Error enviando batch de confirmaciones", error, {
+        count: batch.length,
+        endpoint: this.receiptEndpoint,
+        status,
+      });
+
+      // 4xx: Laravel rechazó el batch, reintentarlo no cambia nada
+      if (status >= 400 && status < 500) {
+        this.logger.warn("🗑️ Batch de confirmaciones descartado", {
+          count: batch.length,
+          status,
+        });
+        throw error;
+      }
+
+      // Laravel caído: se reintenta, pero sin crecer sin límite
+      this.receiptBatch.unshift(...batch);
+      const overflow = this.receiptBatch.length - this.receiptMaxPending;
+      if (overflow > 0) {
+        this.receiptBatch.splice(0, overflow); // las más antiguas
+        this.logger.warn("🗑️ Confirmaciones pendientes descartadas", {
+          dropped: overflow,
+          maxPending: this.receiptMaxPending,
+        });
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * ⏰ Inicia el procesador automático de batches
    */
@@ -309,12 +530,34 @@ class BatchQueueManager {
       }, this.lifecycleBatchInterval);
     }
 
+    if (this.outboundEndpoint) {
+      this.outboundInterval = setInterval(() => {
+        if (this.outboundBatch.length > 0) {
+          this.flushOutboundBatch(false).catch((err) => {
+            this.logger.error("❌ Error en intervalo outbound batch", err);
+          });
+        }
+      }, this.outboundBatchInterval);
+    }
+
+    if (this.receiptEndpoint) {
+      this.receiptInterval = setInterval(() => {
+        if (this.receiptBatch.length > 0) {
+          this.flushReceiptBatch(false).catch((err) => {
+            this.logger.error("❌ Error en intervalo receipt batch", err);
+          });
+        }
+      }, this.receiptBatchInterval);
+    }
+
     this.logger.info("⏰ Batch processor iniciado", {
       qrInterval: this.batchInterval,
       statusInterval: this.priorityInterval,
       lifecycleInterval: this.lifecycleEndpoint
         ? this.lifecycleBatchInterval
         : 0,
+      outboundInterval: this.outboundEndpoint ? this.outboundBatchInterval : 0,
+      receiptInterval: this.receiptEndpoint ? this.receiptBatchInterval : 0,
     });
   }
 
@@ -325,6 +568,8 @@ class BatchQueueManager {
     if (this.qrInterval) clearInterval(this.qrInterval);
     if (this.statusInterval) clearInterval(this.statusInterval);
     if (this.lifecycleInterval) clearInterval(this.lifecycleInterval);
+    if (this.outboundInterval) clearInterval(this.outboundInterval);
+    if (this.receiptInterval) clearInterval(this.receiptInterval);
     this.logger.info("🛑 Batch processor detenido");
   }
 
@@ -337,6 +582,8 @@ class BatchQueueManager {
         this.flushQrBatch(),
         this.flushStatusBatch(true),
         this.flushLifecycleBatch(true),
+        this.flushOutboundBatch(true),
+        this.flushReceiptBatch(true),
       ]);
       this.logger.info("✅ Todos los batches flushed");
     } catch (error) {
@@ -351,6 +598,8 @@ class BatchQueueManager {
     return {
       qrBatchSize: this.qrBatch.size,
       statusBatchSize: this.statusBatch.size,
+      outboundBatchSize: this.outboundBatch.length,
+      receiptBatchSize: this.receiptBatch.length,
       lastFlushQr: this.lastFlushQr,
       lastFlushStatus: this.lastFlushStatus,
       timeSinceLastFlushQr: Date.now() - this.lastFlushQr,
@@ -366,6 +615,7 @@ class BatchQueueManager {
       qr: Array.from(this.qrBatch.entries()).map(([sessionId, data]) => ({
         sessionId,
         qr: data.qr,
+        pairingCode: data.pairingCode || null,
       })),
       status: Array.from(this.statusBatch.entries()).map(
         ([sessionId, data]) => ({
@@ -9,7 +9,13 @@
  */
 
 class CacheManager {
-  constructor(redis, logger) {
+  /**
+   * @param {object} options
+   * @param {number} [options.idempotencyTtl] - Segundos que se recuerda un resultado
+   * @param {number} [options.accountTtl] - Segundos que se conserva la cuenta
+   *   de Laravel (último token conocido)
+   */
+  constructor(redis, logger, options = {}) {
     this.redis = redis;
     this.logger = logger;
 
@@ -20,6 +26,10 @@ class CacheManager {
       connection: 30, // Conexión expira en 30s
       session: 300, // Sesión expira en 5 minutos
       health: 600, // Datos de salud expiran en 10 minutos
+      lifecycle: 7 * 24 * 3600, // Historial de lifecycle se conserva 7 días
+      idempotency: options.idempotencyTtl ?? 86400, // Resultado de envío: 24h
+      idempotencyInProgress: 120, // Claim sin resultado (caída a mitad de envío)
+      account: options.accountTtl ?? 30 * 24 * 3600, // Cuenta de Laravel: 30 días
     };
   }
 
@@ -28,11 +38,14 @@ class CacheManager {
    */
   keys = {
     qr: (sessionId) => `session:${sessionId}:qr`,
+    pairingCode: (sessionId) => `session:${sessionId}:pairing`,
     status: (sessionId) => `session:${sessionId}:status`,
     connection: (sessionId) => `session:${sessionId}:connection`,
     session: (sessionId) => `session:${sessionId}:info`,
     lifecycle: (sessionId) => `session:${sessionId}:lifecycle`,
     health: (sessionId) => `session:${sessionId}:health`,
+    idempotency: (sessionId, key) => `session:${sessionId}:idempotency:${key}`,
+    account: (sessionId) => `session:${sessionId}:account`,
   };
 
   /**
@@ -116,7 +129,7 @@ class CacheManager {
     try {
       await this.redis.lpush(key, payload);
       await this.redis.ltrim(key, 0, limit - 1);
-      await this.redis.expire(key, this.ttl.session);
+      await this.redis.expire(key, this.ttl.lifecycle);
     } catch (error) {
       this.logger.error("❌ Error guardando lifecycle event", error, {
         sessionId,
@@ -124,6 +137,99 @@ class CacheManager {
     }
   }
 
+  /**
+   * 📜 Lee eventos de ciclo de vida (más recientes primero)
+   */
+  async getLifecycleEvents(sessionId, limit = 50) {
+    const key = this.keys.lifecycle(sessionId);
+
+    try {
+      const entries = await this.redis.lrange(key, 0, limit - 1);
+      return entries.map((entry) => JSON.parse(entry));
+    } catch (error) {
+      this.logger.error("❌ Error leyendo lifecycle events", error, {
+        sessionId,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 📋 Lista las sesiones que tienen historial de lifecycle
+   *
+   * SCAN por tandas en lugar de KEYS: no bloquea Redis con el keyspace
+   * grande (auth, idempotencia, rate limit...)
+   */
+  async getLifecycleSessionIds() {
+    try {
+      const sessionIds = new Set(); // SCAN puede repetir keys
+      const stream = this.redis.scanStream({
+        match: "session:*:lifecycle",
+        count: 500,
+      });
+
+      for await (const keys of stream) {
+        keys.forEach((key) =>
+          sessionIds.add(
+            key.replace(/^session:/, "").replace(/:lifecycle$/, "")
+          )
+        );
+      }
+
+      return [...sessionIds];
+    } catch (error) {
+      this.logger.error("❌ Error listando sesiones con lifecycle", error);
+      return [];
+    }
+  }
+
+  /**
+   * 🔁 Reserva una idempotency key (SET NX)
+   *
+   * @returns {Promise<{ claimed: boolean, record: object|null }>}
+   */
+  async claimIdempotencyKey(sessionId, key) {
+    const redisKey = this.keys.idempotency(sessionId, key);
+    const record = { status: "in_progress", createdAt: Date.now() };
+
+    const claimed = await this.redis.set(
+      redisKey,
+      JSON.stringify(record),
+      "EX",
+      this.ttl.idempotencyInProgress,
+      "NX"
+    );
+
+    if (claimed === "OK") {
+      return { claimed: true, record };
+    }
+
+    return { claimed: false, record: await this.get(redisKey) };
+  }
+
+  /**
+   * ✅ Guarda el resultado de una idempotency key
+   */
+  async completeIdempotencyKey(sessionId, key, result) {
+    const redisKey = this.keys.idempotency(sessionId, key);
+    await this.redis.setex(
+      redisKey,
+      this.ttl.idempotency,
+      JSON.stringify({
+        status: "completed",
+        ...result,
+        completedAt: Date.now(),
+      })
+    );
+  }
+
+  /**
+   * 🔓 Libera una idempotency key (la petición falló, se puede reintentar)
+   */
+  async releaseIdempotencyKey(sessionId, key) {
+    await this.redis.del(this.keys.idempotency(sessionId, key));
+  }
+
   /**
    * 📈 Incrementa contador de limpiezas fallidas consecutivas
    */
@@ -237,6 +343,35 @@ class CacheManager {
     return cached?.qr || null;
   }
 
+  /**
+   * 📖 Obtiene QR del cache junto con su timestamp
+   */
+  async getQrEntry(sessionId) {
+    const key = this.keys.qr(sessionId);
+    return await this.get(key);
+  }
+
+  /**
+   * 🔢 Guarda pairing code en cache
+   */
+  async setPairingCode(sessionId, code, phoneNumber) {
+    const key = this.keys.pairingCode(sessionId);
+    return await this.set(
+      key,
+      { code, phoneNumber, timestamp: Date.now() },
+      "qr"
+    );
+  }
+
+  /**
+   * 📖 Obtiene pairing code del cache
+   */
+  async getPairingCode(sessionId) {
+    const key = this.keys.pairingCode(sessionId);
+    const cached = await this.get(key);
+    return cached?.code || null;
+  }
+
   /**
    * 🔀 Verifica si QR cambió (de-duplicación)
    */
@@ -300,6 +435,22 @@ class CacheManager {
     return cached || null;
   }
 
+  /**
+   * 🗂️ Guarda la cuenta de Laravel de la sesión ({ account, fetchedAt })
+   */
+  async setAccount(sessionId, entry) {
+    const key = this.keys.account(sessionId);
+    return await this.set(key, entry, "account");
+  }
+
+  /**
+   * 🗂️ Obtiene la cuenta de Laravel cacheada
+   */
+  async getAccount(sessionId) {
+    const key = this.keys.account(sessionId);
+    return await this.get(key);
+  }
+
   /**
    * 📊 Obtiene métricas del cache
    */
@@ -0,0 +1,252 @@
+// src/services/dead-letter.service.js
+
+/**
+ * 💀 Dead-letter de Mensajes Entrantes
+ *
+ * Los jobs de whatsapp-messages que agotaron sus reintentos (Laravel caído,
+ * 4xx/5xx, timeouts) quedan en estado failed. Este módulo permite:
+ * - Listarlos con el error y la respuesta de Laravel del último intento
+ * - Ver el payload completo y el historial de intentos
+ * - Reenviar uno o todos los que cumplan un filtro (sesión / rango de tiempo)
+ * - Purgarlos
+ *
+ * Un reenvío hace un intento más; si vuelve a fallar, el job regresa aquí.
+ *
+ * Bull entrega los fallidos del más reciente al más antiguo. Sin filtro se
+ * pagina directo en Redis; con filtro se revisan a lo sumo SCAN_LIMIT
+ * (truncated: true indica que quedaron sin revisar).
+ */
+
+const SCAN_CHUNK = 500;
+const SCAN_LIMIT = 10000; // fallidos revisados como máximo por operación con filtro
+
+const hasFilter = ({ sessionId, from, to } = {}) =>
+  Boolean(sessionId || from || to);
+
+class DeadLetterService {
+  /**
+   * @param {QueueManager} queueManager
+   * @param {object} logger
+   */
+  constructor(queueManager, logger) {
+    this.queueManager = queueManager;
+    this.logger = logger;
+  }
+
+  get queue() {
+    return this.queueManager.messageQueue;
+  }
+
+  /**
+   * 📋 Jobs fallidos (más recientes primero)
+   *
+   * @param {object} filter - { sessionId, from, to } (from/to en epoch ms,
+   *   sobre la hora en que se recibió el mensaje)
+   * @param {object} page - { limit, offset }
+   */
+  async list(filter = {}, { limit = 50, offset = 0 } = {}) {
+    if (!hasFilter(filter)) {
+      const [total, jobs] = await Promise.all([
+        this.queue.getFailedCount(),
+        this.queue.getFailed(offset, offset + limit - 1),
+      ]);
+
+      return {
+        total,
+        truncated: false,
+        jobs: await this.describeAll(jobs.filter(Boolean)),
+      };
+    }
+
+    const { jobs, truncated } = await this.findFailed(filter);
+
+    return {
+      total: jobs.length,
+      truncated,
+      jobs: await this.describeAll(jobs.slice(offset, offset + limit)),
+    };
+  }
+
+  /**
+   * 🔍 Un job fallido con su payload y todos sus intentos
+   *
+   * @returns {Promise<object|null>}
+   */
+  async get(jobId) {
+    const job = await this.getFailedJob(jobId);
+    if (!job) return null;
+
+    return {
+      ...(await this.describe(job)),
+      attempts_log: await this.getAttempts(job.id),
+      payload: job.data,
+    };
+  }
+
+  /**
+   * 🔁 Reenvía un job fallido
+   *
+   * @returns {Promise<boolean>} - false si no existe o ya no está fallido
+   */
+  async replay(jobId) {
+    const job = await this.getFailedJob(jobId);
+    if (!job) return false;
+
+    await job.retry();
+
+    this.logger.info("🔁 Mensaje reenviado desde dead-letter", {
+      jobId: job.id,
+      sessionId: job.data.sessionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * 🔁 Reenvía todos los fallidos que cumplan el filtro
+   *
+   * @returns {Promise<{ replayed: number, errors: number, truncated: boolean }>}
+   */
+  async replayMatching(filter = {}) {
+    const { jobs, truncated } = await this.findFailed(filter);
+    let replayed = 0;
+    let errors = 0;
+
+    for (const job of jobs) {
+      try {
+        await job.retry();
+        replayed++;
+      } catch (error) {
+        errors++;
+        this.logger.warn("⚠️ No se pudo reenviar job de dead-letter", {
+          jobId: job.id,
+          error: error.message,
+        });
+      }
+    }
+
+    this.logger.info("🔁 Dead-letter reenviado", {
+      ...filter,
+      replayed,
+      errors,
+      truncated,
+    });
+
+    return { replayed, errors, truncated };
+  }
+
+  /**
+   * 🗑️ Elimina un job fallido
+   */
+  async remove(jobId) {
+    const job = await this.getFailedJob(jobId);
+    if (!job) return false;
+
+    await job.remove();
+    return true;
+  }
+
+  /**
+   * 🧹 Elimina todos los fallidos que cumplan el filtro
+   *
+   * @returns {Promise<{ removed: number, truncated: boolean }>}
+   */
+  async purge(filter = {}) {
+    const { jobs, truncated } = await this.findFailed(filter);
+
+    for (const job of jobs) {
+      await job.remove();
+    }
+
+    this.logger.info("🧹 Dead-letter purgado", {
+      ...filter,
+      removed: jobs.length,
+      truncated,
+    });
+
+    return { removed: jobs.length, truncated };
+  }
+
+  /**
+   * 🔎 Recorre los fallidos por tandas (hasta SCAN_LIMIT) y aplica el filtro
+   *
+   * Se juntan primero y se actúa después: reenviar o borrar mientras se
+   * recorre correría los índices de la lista.
+   *
+   * @returns {Promise<{ jobs: object[], truncated: boolean }>}
+   */
+  async findFailed({ sessionId = null, from = null, to = null } = {}) {
+    const matches = [];
+
+    for (let start = 0; start < SCAN_LIMIT; start += SCAN_CHUNK) {
+      const jobs = await this.queue.getFailed(start, start + SCAN_CHUNK - 1);
+
+      for (const job of jobs) {
+        if (!job) continue;
+        if (sessionId && job.data.sessionId !== sessionId) continue;
+        if (from && job.timestamp < from) continue;
+        if (to && job.timestamp > to) continue;
+
+        matches.push(job);
+      }
+
+      if (jobs.length < SCAN_CHUNK) {
+        return { jobs: matches, truncated: false };
+      }
+    }
+
+    return {
+      jobs: matches,
+      truncated: (await this.queue.getFailedCount()) > SCAN_LIMIT,
+    };
+  }
+
+  async getFailedJob(jobId) {
+    const job = await this.queue.getJob(jobId);
+    if (!job || !(await job.isFailed())) return null;
+    return job;
+  }
+
+  /**
+   * 📝 Intentos registrados por QueueManager.logJobFailure
+   */
+  async getAttempts(jobId) {
+    const { logs } = await this.queue.getJobLogs(jobId);
+
+    return logs.map((entry) => {
+      try {
+        return JSON.parse(entry);
+      } catch {
+        return { error: entry };
+      }
+    });
+  }
+
+  describeAll(jobs) {
+    return Promise.all(jobs.map((job) => this.describe(job)));
+  }
+
+  /**
+   * 🏷️ Job de Bull → respuesta de la API
+   */
+  async describe(job) {
+    const attempts = await this.getAttempts(job.id);
+    const last = attempts[attempts.length - 1] || {};
+    const message = job.data.msgUpdate?.messages?.[0];
+
+    return {
+      job_id: String(job.id),
+      session_id: job.data.sessionId,
+      wam_id: message?.key?.id || null,
+      remote_jid: message?.key?.remoteJid || null,
+      received_at: job.timestamp,
+      failed_at: job.finishedOn || null,
+      attempts: job.attemptsMade,
+      error: job.failedReason || null,
+      laravel_status: last.status ?? null,
+      laravel_response: last.response ?? null,
+    };
+  }
+}
+
+module.exports = DeadLetterService;
@@ -0,0 +1,191 @@
+/**
+ * 📡 Bus de Eventos de Sesión
+ *
+ * Publica en memoria lo que ocurre en cada sesión para consumidores en
+ * tiempo real (SSE / WebSocket):
+ * - QR y pairing codes
+ * - Cambios de estado
+ * - Transiciones de ciclo de vida
+ * - Mensajes entrantes y confirmaciones de entrega
+ * - Cambios de participantes de grupos
+ *
+ * Además de SSE / WebSocket lo consumen los webhooks por sesión.
+ *
+ * Con varias réplicas (bridge) los eventos viajan por Redis pub/sub: un
+ * cliente SSE / WS conectado a cualquier nodo recibe los de sesiones que
+ * viven en otro. Los webhooks escuchan solo los locales (localOnly) para no
+ * encolar la misma entrega en cada réplica.
+ */
+
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+
+const BRIDGE_CHANNEL = "events:bus";
+
+// Identifica un lifecycle en replay y en vivo (mismo timestamp y evento)
+const replayKey = (event) =>
+  `${event.type}:${event.timestamp}:${event.data?.event}`;
+
+class SessionEventBus extends EventEmitter {
+  constructor(cacheManager, logger) {
+    super();
+    this.cacheManager = cacheManager;
+    this.logger = logger;
+
+    // Cada cliente SSE/WS agrega un listener
+    this.setMaxListeners(0);
+
+    this.nodeId = crypto.randomUUID();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * 🌉 Comparte los eventos entre réplicas vía Redis pub/sub
+   *
+   * @param {import("ioredis").Redis} redis - Se duplica para suscribirse
+   */
+  async bridge(redis) {
+    this.publisher = redis;
+    this.subscriber = redis.duplicate();
+
+    this.subscriber.on("message", (channel, raw) => {
+      try {
+        const { nodeId, event } = JSON.parse(raw);
+        if (nodeId !== this.nodeId) this.emit("event", event);
+      } catch (error) {
+        this.logger.warn("⚠️ Evento inválido en el bridge", {
+          error: error.message,
+        });
+      }
+    });
+
+    await this.subscriber.subscribe(BRIDGE_CHANNEL);
+    this.logger.info("🌉 Bus de eventos compartido entre réplicas");
+  }
+
+  async close() {
+    await this.subscriber?.quit();
+    this.subscriber = null;
+    this.publisher = null;
+  }
+
+  /**
+   * 📣 Publica un evento de sesión
+   *
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} type - qr | pairing_code | status | lifecycle | message |
+   *   receipt | group
+   * @param {object} data - Payload del evento
+   * @param {number} [timestamp] - El mismo que se guardó (lifecycle), para
+   *   reconocerlo en el replay
+   * @returns {object} - Evento publicado
+   */
+  publish(sessionId, type, data = {}, timestamp = Date.now()) {
+    const event = {
+      session_id: sessionId,
+      type,
+      data,
+      timestamp,
+    };
+
+    this.emit("event", event);
+    this.emit("local", event);
+
+    this.publisher
+      ?.publish(BRIDGE_CHANNEL, JSON.stringify({ nodeId: this.nodeId, event }))
+      .catch((error) =>
+        this.logger.warn("⚠️ No se pudo compartir el evento", {
+          sessionId,
+          type,
+          error: error.message,
+        })
+      );
+
+    return event;
+  }
+
+  /**
+   * 👂 Suscribe un listener a una sesión (o a todas si sessionId es null)
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.localOnly] - Solo eventos de esta réplica
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(sessionId, listener, { localOnly = false } = {}) {
+    const channel = localOnly ? "local" : "event";
+    const handler = (event) => {
+      if (!sessionId || event.session_id === sessionId) {
+        listener(event);
+      }
+    };
+
+    this.on(channel, handler);
+    return () => this.off(channel, handler);
+  }
+
+  /**
+   * ⏪ Suscribe enviando antes los últimos eventos guardados
+   *
+   * Los eventos en vivo que llegan mientras se lee el replay se retienen y
+   * se entregan después, sin los que el replay ya incluyó: el cliente los
+   * recibe una vez y en orden.
+   *
+   * @param {number} replayCount - 0 = sin replay
+   * @returns {{ unsubscribe: Function, ready: Promise<void> }}
+   */
+  subscribeWithReplay(sessionId, replayCount, listener) {
+    let pending = replayCount > 0 ? [] : null;
+
+    const unsubscribe = this.subscribe(sessionId, (event) =>
+      pending ? pending.push(event) : listener(event)
+    );
+
+    if (!pending) return { unsubscribe, ready: Promise.resolve() };
+
+    const ready = (async () => {
+      let replayed = [];
+
+      try {
+        replayed = await this.getReplay(sessionId, replayCount);
+      } catch (error) {
+        this.logger.error("❌ Error leyendo replay de eventos", error, {
+          sessionId,
+        });
+      }
+
+      const sent = new Set(replayed.map(replayKey));
+      replayed.forEach(listener);
+
+      const live = pending.filter((event) => !sent.has(replayKey(event)));
+      pending = null;
+      live.forEach(listener);
+    })();
+
+    return { unsubscribe, ready };
+  }
+
+  /**
+   * ⏪ Eventos de lifecycle guardados en Redis, en orden cronológico
+   *
+   * @param {string} sessionId - ID de la sesión
+   * @param {number} limit - Máximo de eventos a devolver
+   */
+  async getReplay(sessionId, limit = 50) {
+    const stored = await this.cacheManager.getLifecycleEvents(sessionId, limit);
+
+    return stored.reverse().map((entry) => ({
+      session_id: sessionId,
+      type: "lifecycle",
+      data: { event: entry.event, meta: entry.meta || {} },
+      timestamp: entry.timestamp,
+      replay: true,
+    }));
+  }
+
+  getSubscriberCount() {
+    return this.listenerCount("event");
+  }
+}
+
+module.exports = SessionEventBus;
@@ -0,0 +1,254 @@
+// src/services/group.service.js
+
+/**
+ * 👥 Módulo de Administración de Grupos
+ *
+ * Operaciones sobre grupos a través del socket de la sesión:
+ * - Crear, listar y consultar metadata
+ * - Agregar / quitar / promover / degradar participantes
+ * - Cambiar nombre, descripción y foto
+ * - Link de invitación (consultar y revocar) y salir del grupo
+ * - Reportar cambios de participantes a Laravel como eventos de lifecycle
+ *
+ * Todo requiere groups.enabled en la configuración de la sesión.
+ */
+
+const { AppError } = require("../middleware/error-handler");
+const { resolveLid } = require("../utils/lidResolver");
+
+const PARTICIPANT_ACTIONS = ["add", "remove", "promote", "demote"];
+const INVITE_BASE_URL = "https://chat.whatsapp.com/";
+
+class GroupService {
+  /**
+   * @param {object} sessions - Referencia a las sesiones activas
+   * @param {SessionSettings} settings - groups.enabled por sesión
+   * @param {BatchQueueManager} batchQueueManager
+   * @param {object} logger
+   * @param {SessionEventBus} [eventBus]
+   */
+  constructor(sessions, settings, batchQueueManager, logger, eventBus = null) {
+    this.sessions = sessions;
+    this.settings = settings;
+    this.batchQueueManager = batchQueueManager;
+    this.logger = logger;
+    this.eventBus = eventBus;
+  }
+
+  /**
+   * 📋 Grupos en los que participa la sesión
+   */
+  async list(sessionId) {
+    const sock = await this.resolveSock(sessionId);
+    const groups = await sock.groupFetchAllParticipating();
+
+    return Object.values(groups).map((metadata) =>
+      this.describe(sessionId, metadata)
+    );
+  }
+
+  /**
+   * ➕ Crea un grupo
+   *
+   * @param {string[]} participants - Números con código de país
+   */
+  async create(sessionId, subject, participants) {
+    const sock = await this.resolveSock(sessionId);
+    const metadata = await sock.groupCreate(
+      subject,
+      this.toParticipantJids(participants)
+    );
+
+    this.logger.info("👥 Grupo creado", {
+      sessionId,
+      groupJid: metadata.id,
+      participants: participants.length,
+    });
+
+    return this.describe(sessionId, metadata);
+  }
+
+  /**
+   * 🔍 Metadata de un grupo
+   */
+  async metadata(sessionId, groupJid) {
+    const sock = await this.resolveSock(sessionId);
+    return this.describe(sessionId, await sock.groupMetadata(groupJid));
+  }
+
+  /**
+   * 👤 Agrega, quita, promueve o degrada participantes
+   *
+   * @returns {Promise<Array<{ phone: string, status: string }>>} - Resultado
+   *   por participante (status "200" = ok, WhatsApp devuelve 403 / 408 / 409...)
+   */
+  async updateParticipants(sessionId, groupJid, participants, action) {
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      throw new AppError(
+        `action debe ser uno de ${PARTICIPANT_ACTIONS.join(", ")}`,
+        400
+      );
+    }
+
+    const sock = await this.resolveSock(sessionId);
+    const results = await sock.groupParticipantsUpdate(
+      groupJid,
+      this.toParticipantJids(participants),
+      action
+    );
+
+    return results.map((result) => ({
+      phone: this.toPhone(sessionId, result.jid),
+      status: String(result.status),
+    }));
+  }
+
+  /**
+   * ✏️ Cambia nombre y/o descripción
+   */
+  async update(sessionId, groupJid, { subject, description }) {
+    const sock = await this.resolveSock(sessionId);
+
+    if (subject !== undefined) {
+      await sock.groupUpdateSubject(groupJid, subject);
+    }
+
+    if (description !== undefined) {
+      // Descripción vacía la elimina
+      await sock.groupUpdateDescription(groupJid, description || undefined);
+    }
+
+    return await this.metadata(sessionId, groupJid);
+  }
+
+  /**
+   * 🖼️ Cambia la foto del grupo
+   */
+  async updatePicture(sessionId, groupJid, imageUrl) {
+    const sock = await this.resolveSock(sessionId);
+    await sock.updateProfilePicture(groupJid, { url: imageUrl });
+  }
+
+  /**
+   * 🔗 Link de invitación vigente
+   */
+  async inviteLink(sessionId, groupJid) {
+    const sock = await this.resolveSock(sessionId);
+    const code = await sock.groupInviteCode(groupJid);
+
+    return { code, link: INVITE_BASE_URL + code };
+  }
+
+  /**
+   * ♻️ Revoca el link actual y retorna el nuevo
+   */
+  async revokeInvite(sessionId, groupJid) {
+    const sock = await this.resolveSock(sessionId);
+    const code = await sock.groupRevokeInvite(groupJid);
+
+    return { code, link: INVITE_BASE_URL + code };
+  }
+
+  /**
+   * 🚪 Sale del grupo
+   */
+  async leave(sessionId, groupJid) {
+    const sock = await this.resolveSock(sessionId);
+    await sock.groupLeave(groupJid);
+
+    this.logger.info("🚪 Sesión salió del grupo", { sessionId, groupJid });
+  }
+
+  /**
+   * 🔔 group-participants.update → evento de lifecycle para Laravel
+   */
+  async handleParticipantsUpdate(sessionId, update) {
+    if (!(await this.isEnabled(sessionId))) return;
+
+    const meta = {
+      group_jid: update.id,
+      action: update.action,
+      participants: (update.participants || []).map((participant) =>
+        this.toPhone(sessionId, participant)
+      ),
+      author: update.author ? this.toPhone(sessionId, update.author) : null,
+    };
+
+    this.batchQueueManager.addLifecycleEvent(
+      sessionId,
+      "group_participants_update",
+      meta
+    );
+    this.eventBus?.publish(sessionId, "group", meta);
+
+    this.logger.info("👥 Cambio de participantes", { sessionId, ...meta });
+  }
+
+  /**
+   * 🏷️ Metadata de Baileys → respuesta de la API
+   */
+  describe(sessionId, metadata) {
+    return {
+      jid: metadata.id,
+      subject: metadata.subject || null,
+      description: metadata.desc || null,
+      owner: metadata.owner ? this.toPhone(sessionId, metadata.owner) : null,
+      created_at: metadata.creation ? metadata.creation * 1000 : null,
+      announce: Boolean(metadata.announce), // solo admins envían
+      restrict: Boolean(metadata.restrict), // solo admins editan info
+      size: metadata.size || metadata.participants?.length || 0,
+      participants: (metadata.participants || []).map((participant) => ({
+        phone: this.toPhone(sessionId, participant),
+        admin: participant.admin || null, // "admin" | "superadmin" | null
+      })),
+    };
+  }
+
+  /**
+   * 📞 Participante (JID, LID u objeto de Baileys) → número
+   */
+  toPhone(sessionId, participant) {
+    const jid =
+      typeof participant === "string"
+        ? participant
+        : participant.phoneNumber || participant.id;
+
+    return resolveLid(jid, sessionId, null, this.logger) || jid;
+  }
+
+  toParticipantJids(participants) {
+    return participants.map(
+      (number) => String(number).replace(/[^0-9]/g, "") + "@s.whatsapp.net"
+    );
+  }
+
+  async isEnabled(sessionId) {
+    const { groups } = (await this.settings.get(sessionId)) || {};
+    return Boolean(groups?.enabled);
+  }
+
+  /**
+   * 🔌 Socket de la sesión (requiere grupos habilitados)
+   *
+   * @throws {AppError} 403 si la sesión no tiene grupos habilitados
+   */
+  async resolveSock(sessionId) {
+    if (!(await this.isEnabled(sessionId))) {
+      throw new AppError(
+        "Los grupos no están habilitados para esta sesión",
+        403,
+        { setting: "groups.enabled" }
+      );
+    }
+
+    const sock = this.sessions[sessionId]?.sock;
+
+    if (!sock) {
+      throw new AppError(`Sesión no encontrada: ${sessionId}`, 404);
+    }
+
+    return sock;
+  }
+}
+
+module.exports = GroupService;
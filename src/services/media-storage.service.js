@@ -0,0 +1,277 @@
+// src/services/media-storage.service.js
+
+/**
+ * 🗄️ Almacenamiento de Media Entrante
+ *
+ * Responsabilidad:
+ * - Guardar / leer / borrar archivos por key (`<sessionId>/<archivo>`)
+ * - LocalMediaStorage: carpeta audios/ (default)
+ * - S3MediaStorage: bucket S3 o compatible (MinIO) con URLs firmadas
+ * - sweep(maxAgeMs): retención, lo agenda app.js con audioCleanupInterval
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const S3_DELETE_BATCH = 1000; // máximo de DeleteObjects
+
+/**
+ * 📁 Media en disco (comportamiento original)
+ */
+class LocalMediaStorage {
+  constructor(baseDir, logger) {
+    this.baseDir = baseDir;
+    this.logger = logger;
+    this.driver = "local";
+
+    if (!fs.existsSync(this.baseDir)) {
+      fs.mkdirSync(this.baseDir, { recursive: true });
+    }
+  }
+
+  resolve(key) {
+    return path.join(this.baseDir, ...key.split("/"));
+  }
+
+  /**
+   * 💾 Guarda un archivo
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  async read(key) {
+    return await fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * 🔗 El disco local no publica URLs (el webhook va en multipart)
+   */
+  async getSignedUrl() {
+    return null;
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * 🧹 Elimina archivos más viejos que maxAgeMs
+   *
+   * @returns {Promise<number>} - Cantidad de archivos eliminados
+   */
+  async sweep(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+
+        try {
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+
+            if ((await fs.promises.readdir(entryPath)).length === 0) {
+              await fs.promises.rmdir(entryPath);
+            }
+          } else if ((await fs.promises.stat(entryPath)).mtimeMs < cutoff) {
+            await fs.promises.unlink(entryPath);
+            removed++;
+          }
+        } catch (err) {
+          this.logger.error("❌ Error eliminando media", err, {
+            file: entryPath,
+          });
+        }
+      }
+    };
+
+    if (fs.existsSync(this.baseDir)) {
+      await walk(this.baseDir);
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * ☁️ Media en S3 o compatible (MinIO)
+ *
+ * Con MinIO: endpoint http://minio:9000 y forcePathStyle = true.
+ */
+class S3MediaStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.bucket
+   * @param {string} [options.region]
+   * @param {string} [options.endpoint] - Vacío → AWS
+   * @param {boolean} [options.forcePathStyle]
+   * @param {string} [options.accessKeyId] - Vacío → cadena de credenciales AWS
+   * @param {string} [options.secretAccessKey]
+   * @param {string} [options.prefix] - Prefijo de las keys en el bucket
+   * @param {number} [options.signedUrlTtlSeconds]
+   */
+  constructor(options, logger) {
+    if (!options.bucket) {
+      throw new Error("mediaStorage.s3.bucket es requerido con driver s3");
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || "";
+    this.signedUrlTtlSeconds = options.signedUrlTtlSeconds || 3600;
+    this.logger = logger;
+    this.driver = "s3";
+
+    this.client = new S3Client({
+      region: options.region || "us-east-1",
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: Boolean(options.forcePathStyle),
+      credentials: options.accessKeyId
+        ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey,
+          }
+        : undefined,
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * 💾 Sube un archivo
+   */
+  async save(key, buffer, { contentType } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: buffer,
+        ContentType: contentType || "application/octet-stream",
+      })
+    );
+
+    return { key, size: buffer.length };
+  }
+
+  async read(key) {
+    const { Body } = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) })
+    );
+
+    return Buffer.from(await Body.transformToByteArray());
+  }
+
+  /**
+   * 🔗 URL firmada de descarga
+   *
+   * @returns {Promise<{ url: string, expiresAt: number }>}
+   */
+  async getSignedUrl(key) {
+    const url = await getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: this.signedUrlTtlSeconds }
+    );
+
+    return { url, expiresAt: Date.now() + this.signedUrlTtlSeconds * 1000 };
+  }
+
+  async remove(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) })
+    );
+  }
+
+  /**
+   * 🧹 Elimina objetos del prefijo más viejos que maxAgeMs
+   *
+   * @returns {Promise<number>} - Cantidad de objetos eliminados
+   */
+  async sweep(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    const expired = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix || undefined,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      for (const object of page.Contents || []) {
+        if (object.LastModified?.getTime() < cutoff) {
+          expired.push({ Key: object.Key });
+        }
+      }
+
+      continuationToken = page.IsTruncated
+        ? page.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    for (let i = 0; i < expired.length; i += S3_DELETE_BATCH) {
+      await this.client.send(
+        new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: {
+            Objects: expired.slice(i, i + S3_DELETE_BATCH),
+            Quiet: true,
+          },
+        })
+      );
+    }
+
+    return expired.length;
+  }
+}
+
+/**
+ * 🏭 Crea el storage según configuración
+ *
+ * @param {object} storageConfig - config.mediaStorage
+ * @param {object} deps - { localDir, logger }
+ */
+function createMediaStorage(storageConfig = {}, { localDir, logger }) {
+  if (storageConfig.driver === "s3") {
+    logger.info("☁️ Media entrante en S3", {
+      bucket: storageConfig.s3?.bucket,
+      endpoint: storageConfig.s3?.endpoint || "aws",
+    });
+
+    return new S3MediaStorage(
+      {
+        ...storageConfig.s3,
+        signedUrlTtlSeconds: storageConfig.signedUrlTtlSeconds,
+      },
+      logger
+    );
+  }
+
+  return new LocalMediaStorage(localDir, logger);
+}
+
+module.exports = {
+  LocalMediaStorage,
+  S3MediaStorage,
+  createMediaStorage,
+};
@@ -0,0 +1,146 @@
+// src/services/message-store.service.js
+
+/**
+ * 🗃️ Store de Mensajes de Corto Plazo
+ *
+ * Guarda los WAMessage recientes (entrantes y enviados) en Redis para:
+ * - Citar un mensaje al responder (reply_to_wam_id)
+ * - getMessage de Baileys (reenvío cuando el destinatario pide retry)
+ * - Marcar como leído un chat completo (keys entrantes aún sin leer)
+ *
+ * Los mensajes se serializan con BufferJSON para conservar las llaves de media.
+ */
+
+const { BufferJSON } = require("@whiskeysockets/baileys");
+
+const MAX_UNREAD_KEYS = 100; // por chat
+
+class MessageStore {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {object} logger
+   * @param {object} options
+   * @param {number} [options.ttlSeconds] - Cuánto se recuerda cada mensaje
+   */
+  constructor(redis, logger, options = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.ttlSeconds = options.ttlSeconds || 3 * 24 * 3600;
+  }
+
+  keys = {
+    message: (sessionId, wamId) => `msgstore:${sessionId}:${wamId}`,
+    unread: (sessionId, waId) => `msgstore:${sessionId}:unread:${waId}`,
+  };
+
+  /**
+   * 💾 Guarda un mensaje (se ignoran los que no tienen contenido)
+   */
+  async save(sessionId, msg) {
+    return await this.saveMany(sessionId, [msg]);
+  }
+
+  async saveMany(sessionId, messages = []) {
+    const pipeline = this.redis.pipeline();
+    let count = 0;
+
+    for (const msg of messages) {
+      if (!msg?.key?.id || !msg.message) continue;
+
+      pipeline.setex(
+        this.keys.message(sessionId, msg.key.id),
+        this.ttlSeconds,
+        JSON.stringify(msg, BufferJSON.replacer)
+      );
+      count++;
+    }
+
+    if (count === 0) return 0;
+
+    try {
+      await pipeline.exec();
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudieron guardar mensajes en el store", {
+        sessionId,
+        error: error.message,
+      });
+    }
+
+    return count;
+  }
+
+  /**
+   * 📥 Registra la key de un mensaje entrante aún sin leer
+   */
+  async addUnread(sessionId, waId, key) {
+    const listKey = this.keys.unread(sessionId, waId);
+
+    try {
+      await this.redis
+        .multi()
+        .rpush(listKey, JSON.stringify(key))
+        .ltrim(listKey, -MAX_UNREAD_KEYS, -1)
+        .expire(listKey, this.ttlSeconds)
+        .exec();
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo registrar mensaje sin leer", {
+        sessionId,
+        waId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * 📖 Retira y retorna las keys sin leer de un chat
+   *
+   * @param {string[]} [wamIds] - Solo esas (el resto sigue sin leer)
+   */
+  async takeUnread(sessionId, waId, wamIds = null) {
+    const listKey = this.keys.unread(sessionId, waId);
+
+    if (!wamIds) {
+      const [[, items]] = await this.redis
+        .multi()
+        .lrange(listKey, 0, -1)
+        .del(listKey)
+        .exec();
+
+      return (items || []).map((item) => JSON.parse(item));
+    }
+
+    const items = await this.redis.lrange(listKey, 0, -1);
+    const taken = (items || []).filter((item) =>
+      wamIds.includes(JSON.parse(item).id)
+    );
+
+    if (taken.length > 0) {
+      const pipeline = this.redis.pipeline();
+      taken.forEach((item) => pipeline.lrem(listKey, 1, item));
+      await pipeline.exec();
+    }
+
+    return taken.map((item) => JSON.parse(item));
+  }
+
+  /**
+   * 🔍 Obtiene un mensaje por wamId
+   *
+   * @returns {Promise<object|null>} - WAMessage o null si expiró / no existe
+   */
+  async get(sessionId, wamId) {
+    try {
+      const raw = await this.redis.get(this.keys.message(sessionId, wamId));
+      return raw ? JSON.parse(raw, BufferJSON.reviver) : null;
+    } catch (error) {
+      this.logger.warn("⚠️ Error leyendo mensaje del store", {
+        sessionId,
+        wamId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+}
+
+module.exports = MessageStore;
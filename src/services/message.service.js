@@ -4,29 +4,124 @@
  * Gestiona el envío de mensajes salientes de WhatsApp:
  * - Texto con preview de URLs
  * - Imágenes con caption
- * - Audio
+ * - Audio (como nota de voz OGG/Opus si hay transcoder)
  * - Video con caption
  * - Documentos
+ * - Interactivos: botones, listas y template (CTA / quick reply)
+ * - Ubicación (fija y en tiempo real), contactos (vCard) y stickers
+ * - Reacciones, edición y eliminación de mensajes ya enviados
+ * - Confirmaciones de lectura y presencia (escribiendo / grabando / en línea)
+ * - Grupos (@g.us) si la sesión los tiene habilitados
  * - Reintentos automáticos y timeouts
+ * - Pacing anti-ban: pausa aleatoria entre envíos y "escribiendo..." opcional
  */
 
+const { generateWAMessageFromContent } = require("@whiskeysockets/baileys");
 const { sleep } = require("../utils/helpers");
+const { AppError } = require("../middleware/error-handler");
+const { isGroupJid, toJid } = require("../utils/lidResolver");
+const {
+  INTERACTIVE_TYPES,
+  buildInteractiveMessage,
+  buildLocationContent,
+  buildLiveLocationMessage,
+  buildContactsContent,
+} = require("../utils/messagePayload");
 
 class MessageSender {
-  constructor(sessions, logger) {
+  /**
+   * @param {object} sessions - Referencia a las sesiones activas
+   * @param {object} logger
+   * @param {object} options
+   * @param {SessionSettings} [options.settings] - Config de pacing por sesión
+   * @param {AudioTranscoder} [options.transcoder] - Audio → nota de voz
+   * @param {MessageStore} [options.messageStore] - Mensajes a citar
+   * @param {ReceiptTracker} [options.receipts] - Estado de entrega
+   */
+  constructor(sessions, logger, options = {}) {
     this.sessions = sessions; // Referencia a las sesiones activas
     this.logger = logger;
+    this.settings = options.settings || null;
+    this.transcoder = options.transcoder || null;
+    this.messageStore = options.messageStore || null;
+    this.receipts = options.receipts || null;
     this.defaultTimeout = 15000; // 15 segundos
     this.defaultRetries = 3;
+
+    // Pacing: envíos de una misma sesión van en fila
+    this.pacingQueues = new Map(); // sessionId → Promise
+    this.lastSentAt = new Map(); // sessionId → timestamp
+  }
+
+  /**
+   * 🐢 Espera el turno de envío de la sesión
+   *
+   * Respeta una pausa aleatoria desde el último envío y, si la sesión lo
+   * tiene activado, muestra "escribiendo..." proporcional al largo del texto.
+   */
+  async pace(sessionId, sock, jid, content) {
+    if (!this.settings) return;
+
+    const { rateLimit: limits } = await this.settings.get(sessionId);
+    if (!limits?.enabled) return;
+
+    const previous = this.pacingQueues.get(sessionId) || Promise.resolve();
+    const turn = previous.then(() =>
+      this.waitTurn(sessionId, sock, jid, content, limits)
+    );
+
+    this.pacingQueues.set(
+      sessionId,
+      turn.catch(() => {})
+    );
+
+    await turn;
+  }
+
+  async waitTurn(sessionId, sock, jid, content, limits) {
+    const minDelay = limits.minDelayMs;
+    const maxDelay = Math.max(limits.maxDelayMs, minDelay);
+    const gap = minDelay + Math.random() * (maxDelay - minDelay);
+    const elapsed = Date.now() - (this.lastSentAt.get(sessionId) || 0);
+
+    if (elapsed < gap) {
+      await sleep(gap - elapsed);
+    }
+
+    // Ediciones no muestran "escribiendo..."
+    const text = content.edit ? "" : content.text || content.caption || "";
+
+    if (limits.typing && text) {
+      const typingMs = Math.min(
+        text.length * limits.typingMsPerChar,
+        limits.typingMaxMs
+      );
+
+      try {
+        await sock.sendPresenceUpdate("composing", jid);
+        await sleep(typingMs);
+        await sock.sendPresenceUpdate("paused", jid);
+      } catch (error) {
+        this.logger.warn("⚠️ No se pudo enviar presencia", {
+          sessionId,
+          error: error.message,
+        });
+      }
+    }
+
+    this.lastSentAt.set(sessionId, Date.now());
   }
 
   /**
    * 🔄 Envía un mensaje con reintentos y timeout
    *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} jid - JID del destinatario (ej: "573001234567@s.whatsapp.net")
+   * @param {string} jid - JID del destinatario (ej: "573001234567@s.whatsapp.net"
+   *   o "120363...@g.us")
    * @param {object} content - Contenido del mensaje según Baileys
    * @param {object} options - Opciones adicionales para sendMessage
+   *   (relay: true → content es un proto.Message y va por relayMessage;
+   *   quoted / mentions → ver deliver; retries → reemplaza el parámetro)
    * @param {number} retries - Número de reintentos (default: 3)
    * @param {number} timeout - Timeout en ms (default: 15000)
    * @returns {Promise<object>} - Respuesta de Baileys
@@ -42,13 +137,20 @@ class MessageSender {
     const sock = this.resolveSock(sessionId);
 
     if (!sock) {
-      throw new Error(`Sesión no encontrada: ${sessionId}`);
+      throw new AppError(`Sesión no encontrada: ${sessionId}`, 404);
     }
 
-    const maxRetries = retries || this.defaultRetries;
+    if (isGroupJid(jid)) {
+      await this.assertGroupsEnabled(sessionId);
+    }
+
+    const { retries: retriesOption, ...sendOptions } = options;
+    const maxRetries = retriesOption || retries || this.defaultRetries;
     const timeoutMs = timeout || this.defaultTimeout;
     let lastError;
 
+    await this.pace(sessionId, sock, jid, content);
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         this.logger.info(`🚀 Intento de envío ${attempt}/${maxRetries}`, {
@@ -58,7 +160,7 @@ class MessageSender {
         });
 
         const result = await Promise.race([
-          sock.sendMessage(jid, content, options),
+          this.deliver(sock, jid, content, sendOptions),
           new Promise((_, reject) =>
             setTimeout(() => reject(new Error("Timeout superado")), timeoutMs)
           ),
@@ -70,6 +172,9 @@ class MessageSender {
           attempt,
         });
 
+        // Para poder citarlo después (relayMessage no emite messages.upsert)
+        this.messageStore?.save(sessionId, result);
+
         return result;
       } catch (err) {
         lastError = err;
@@ -99,84 +204,182 @@ class MessageSender {
     throw lastError;
   }
 
+  /**
+   * 👥 Los grupos son opt-in por sesión (groups.enabled)
+   *
+   * @throws {AppError} 403 si la sesión no los tiene habilitados
+   */
+  async assertGroupsEnabled(sessionId) {
+    const { groups } = (await this.settings?.get(sessionId)) || {};
+
+    if (!groups?.enabled) {
+      throw new AppError(
+        "Los grupos no están habilitados para esta sesión",
+        403,
+        { setting: "groups.enabled" }
+      );
+    }
+  }
+
+  /**
+   * 📬 Entrega al socket: sendMessage, o relayMessage para protos ya armados
+   * (los interactivos no pasan por el generador de contenido de Baileys)
+   *
+   * options.quoted cita un WAMessage; options.mentions (JIDs) se agrega al
+   * contenido de texto/caption.
+   */
+  async deliver(sock, jid, content, options = {}) {
+    const { relay, mentions, ...sendOptions } = options;
+
+    if (!relay) {
+      const withMentions = mentions?.length
+        ? { ...content, mentions }
+        : content;
+      return await sock.sendMessage(jid, withMentions, sendOptions);
+    }
+
+    const message = generateWAMessageFromContent(jid, content, {
+      userJid: sock.user?.id,
+      ...sendOptions,
+    });
+
+    await sock.relayMessage(jid, message.message, {
+      messageId: message.key.id,
+    });
+
+    return message;
+  }
+
   /**
    * 📝 Envía un mensaje de texto
    *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} waId - Número de WhatsApp sin @s.whatsapp.net
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
    * @param {string} text - Texto del mensaje
    * @returns {Promise<object>} - Respuesta del envío
    */
-  async sendText(sessionId, waId, text) {
-    const jid = waId + "@s.whatsapp.net";
+  async sendText(sessionId, waId, text, options = {}) {
+    const jid = toJid(waId);
 
     // Detectar si el texto tiene URLs para mostrar preview
     const hasUrl = /(https?:\/\/[^\s]+)/.test(text);
 
-    return await this.sendWithRetry(sessionId, jid, {
-      text: text,
-      linkPreview: hasUrl,
-    });
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        text: text,
+        linkPreview: hasUrl,
+      },
+      options
+    );
   }
 
   /**
    * 🖼️ Envía una imagen
    *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} waId - Número de WhatsApp sin @s.whatsapp.net
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
    * @param {string} mediaUrl - URL de la imagen
    * @param {string} caption - Caption opcional
    * @returns {Promise<object>} - Respuesta del envío
    */
-  async sendImage(sessionId, waId, mediaUrl, caption = "") {
-    const jid = waId + "@s.whatsapp.net";
+  async sendImage(sessionId, waId, mediaUrl, caption = "", options = {}) {
+    const jid = toJid(waId);
 
-    return await this.sendWithRetry(sessionId, jid, {
-      image: { url: mediaUrl },
-      caption: caption || "",
-    });
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        image: { url: mediaUrl },
+        caption: caption || "",
+      },
+      options
+    );
   }
 
   /**
    * 🔊 Envía un audio
    *
+   * Con transcoder se convierte a OGG/Opus y se envía como nota de voz (ptt);
+   * si la conversión falla se envía el archivo original como antes.
+   *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} waId - Número de WhatsApp sin @s.whatsapp.net
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
    * @param {string} mediaUrl - URL del audio
+   * @param {boolean} ptt - Enviar como nota de voz (default: true)
    * @returns {Promise<object>} - Respuesta del envío
    */
-  async sendAudio(sessionId, waId, mediaUrl) {
-    const jid = waId + "@s.whatsapp.net";
+  async sendAudio(sessionId, waId, mediaUrl, ptt = true, options = {}) {
+    const jid = toJid(waId);
+
+    if (this.transcoder && ptt) {
+      const voice = await this.transcoder
+        .toVoiceNote(mediaUrl)
+        .catch((error) => {
+          this.logger.warn("⚠️ No se pudo convertir a nota de voz", {
+            sessionId,
+            mediaUrl,
+            error: error.message,
+          });
+          return null;
+        });
 
-    return await this.sendWithRetry(sessionId, jid, {
-      audio: { url: mediaUrl },
-      mimetype: "audio/mpeg",
-    });
+      if (voice) {
+        return await this.sendWithRetry(
+          sessionId,
+          jid,
+          {
+            audio: voice.buffer,
+            mimetype: voice.mimetype,
+            ptt: true,
+            seconds: voice.seconds,
+            waveform: voice.waveform,
+          },
+          options
+        );
+      }
+    }
+
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        audio: { url: mediaUrl },
+        mimetype: "audio/mpeg",
+      },
+      options
+    );
   }
 
   /**
    * 🎥 Envía un video
    *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} waId - Número de WhatsApp sin @s.whatsapp.net
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
    * @param {string} mediaUrl - URL del video
    * @param {string} caption - Caption opcional
    * @returns {Promise<object>} - Respuesta del envío
    */
-  async sendVideo(sessionId, waId, mediaUrl, caption = "") {
-    const jid = waId + "@s.whatsapp.net";
+  async sendVideo(sessionId, waId, mediaUrl, caption = "", options = {}) {
+    const jid = toJid(waId);
 
-    return await this.sendWithRetry(sessionId, jid, {
-      video: { url: mediaUrl },
-      caption: caption || "",
-    });
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        video: { url: mediaUrl },
+        caption: caption || "",
+      },
+      options
+    );
   }
 
   /**
    * 📄 Envía un documento
    *
    * @param {string} sessionId - ID de la sesión
-   * @param {string} waId - Número de WhatsApp sin @s.whatsapp.net
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
    * @param {string} mediaUrl - URL del documento
    * @param {string} filename - Nombre del archivo
    * @param {string} caption - Caption opcional
@@ -187,31 +390,242 @@ class MessageSender {
     waId,
     mediaUrl,
     filename = "document",
-    caption = ""
+    caption = "",
+    options = {}
   ) {
-    const jid = waId + "@s.whatsapp.net";
+    const jid = toJid(waId);
+
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        document: { url: mediaUrl },
+        fileName: filename,
+        caption: caption || "",
+      },
+      options
+    );
+  }
+
+  /**
+   * 🔘 Envía un mensaje interactivo (buttons, list, template)
+   *
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} waId - Número de WhatsApp o JID de grupo (@g.us)
+   * @param {object} payload - Body validado por validateMessagePayload
+   * @returns {Promise<object>} - Respuesta del envío
+   */
+  async sendInteractive(sessionId, waId, payload, options = {}) {
+    const jid = toJid(waId);
+
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      buildInteractiveMessage(payload),
+      { ...options, relay: true }
+    );
+  }
+
+  /**
+   * 📍 Envía una ubicación fija
+   */
+  async sendLocation(sessionId, waId, payload, options = {}) {
+    const jid = toJid(waId);
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      buildLocationContent(payload),
+      options
+    );
+  }
+
+  /**
+   * 📡 Envía una ubicación en tiempo real
+   */
+  async sendLiveLocation(sessionId, waId, payload, options = {}) {
+    const jid = toJid(waId);
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      buildLiveLocationMessage(payload),
+      { ...options, relay: true }
+    );
+  }
+
+  /**
+   * 📇 Envía uno o varios contactos (vCard)
+   */
+  async sendContacts(sessionId, waId, payload, options = {}) {
+    const jid = toJid(waId);
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      buildContactsContent(payload),
+      options
+    );
+  }
+
+  /**
+   * 🌟 Envía un sticker (WebP)
+   */
+  async sendSticker(sessionId, waId, mediaUrl, options = {}) {
+    const jid = toJid(waId);
+    return await this.sendWithRetry(
+      sessionId,
+      jid,
+      {
+        sticker: { url: mediaUrl },
+      },
+      options
+    );
+  }
+
+  /**
+   * 😀 Reacciona a un mensaje (emoji vacío quita la reacción)
+   *
+   * @param {boolean} [fromMe] - Si el mensaje no está en el store, indica si
+   *   lo envió la sesión (default) o el contacto
+   */
+  async react(sessionId, waId, wamId, emoji, fromMe = true) {
+    const jid = toJid(waId);
+    const key = await this.resolveMessageKey(sessionId, jid, wamId, fromMe);
 
     return await this.sendWithRetry(sessionId, jid, {
-      document: { url: mediaUrl },
-      fileName: filename,
-      caption: caption || "",
+      react: { text: emoji || "", key },
     });
   }
 
+  /**
+   * ✏️ Edita el texto (o caption) de un mensaje enviado por la sesión
+   */
+  async editMessage(sessionId, waId, wamId, text) {
+    const jid = toJid(waId);
+    const key = await this.resolveOwnMessageKey(sessionId, jid, wamId);
+
+    return await this.sendWithRetry(sessionId, jid, { edit: key, text });
+  }
+
+  /**
+   * 🗑️ Elimina para todos un mensaje enviado por la sesión
+   */
+  async deleteMessage(sessionId, waId, wamId) {
+    const jid = toJid(waId);
+    const key = await this.resolveOwnMessageKey(sessionId, jid, wamId);
+
+    return await this.sendWithRetry(sessionId, jid, { delete: key });
+  }
+
+  /**
+   * 👀 Marca como leídos mensajes de un chat (✓✓ azul para el contacto)
+   *
+   * @param {string[]} [wamIds] - Sin wamIds se marcan todos los pendientes
+   * @returns {Promise<number>} - Cantidad de mensajes marcados
+   */
+  async markRead(sessionId, waId, wamIds = null) {
+    const sock = this.resolveSock(sessionId);
+    const jid = toJid(waId);
+
+    const keys = wamIds?.length
+      ? await this.resolveUnreadKeys(sessionId, waId, jid, wamIds)
+      : (await this.messageStore?.takeUnread(sessionId, waId)) || [];
+
+    if (keys.length > 0) {
+      await sock.readMessages(keys);
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * 🔑 Keys de wamIds puntuales: se retiran de las pendientes (con su
+   * participant) y las demás salen del store
+   *
+   * En grupos el recibo de lectura necesita participant: una key armada sin
+   * él se omite.
+   */
+  async resolveUnreadKeys(sessionId, waId, jid, wamIds) {
+    const unread =
+      (await this.messageStore?.takeUnread(sessionId, waId, wamIds)) || [];
+    const keys = [];
+
+    for (const wamId of wamIds) {
+      const key =
+        unread.find((item) => item.id === wamId) ||
+        (await this.resolveMessageKey(sessionId, jid, wamId, false));
+
+      if (isGroupJid(jid) && !key.participant) {
+        this.logger.warn("⚠️ Mensaje de grupo sin participant, no se marca", {
+          sessionId,
+          wamId,
+        });
+        continue;
+      }
+
+      keys.push(key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * ✍️ Presencia en un chat: composing (escribiendo), recording o paused
+   */
+  async sendChatPresence(sessionId, waId, presence) {
+    const sock = this.resolveSock(sessionId);
+    await sock.sendPresenceUpdate(presence, toJid(waId));
+  }
+
+  /**
+   * 🟢 Disponibilidad global de la sesión: available / unavailable
+   */
+  async setAvailability(sessionId, presence) {
+    const sock = this.resolveSock(sessionId);
+    await sock.sendPresenceUpdate(presence);
+  }
+
+  /**
+   * 🔑 Key de un mensaje por wamId (store, o armada si ya expiró)
+   */
+  async resolveMessageKey(sessionId, jid, wamId, fromMe = true) {
+    const stored = await this.messageStore?.get(sessionId, wamId);
+    return stored?.key || { remoteJid: jid, fromMe, id: wamId };
+  }
+
+  async resolveOwnMessageKey(sessionId, jid, wamId) {
+    const key = await this.resolveMessageKey(sessionId, jid, wamId);
+
+    if (!key.fromMe) {
+      throw new AppError(
+        "Solo se pueden editar o eliminar mensajes enviados por la sesión",
+        400,
+        { wam_id: wamId }
+      );
+    }
+
+    return key;
+  }
+
   /**
    * 🎯 Envía un mensaje según el tipo especificado
    *
    * @param {object} params - Parámetros del mensaje
    * @param {string} params.sessionId - ID de la sesión
-   * @param {string} params.waId - Número de WhatsApp
-   * @param {string} params.type - Tipo: text, image, audio, video, document
+   * @param {string} params.waId - Número de WhatsApp o JID de grupo (@g.us)
+   * @param {string} params.type - Tipo: text, image, audio, video, document,
+   *   buttons, list, template, location, live_location, contact, sticker
    * @param {string} params.body - Texto del mensaje (para type=text)
    * @param {string} params.mediaUrl - URL del media (para otros tipos)
    * @param {string} params.caption - Caption opcional
    * @param {string} params.filename - Nombre del archivo (para documentos)
+   * @param {boolean} params.ptt - Audio como nota de voz (default: true)
+   * @param {string} params.reply_to_wam_id - wamId del mensaje a citar
+   * @param {string[]} params.mentions - Números a mencionar (texto / caption)
+   * @param {object} [delivery]
+   * @param {number} [delivery.retries] - Intentos propios; 1 cuando quien
+   *   llama ya reintenta (worker de Bull), así solo reintenta una capa
    * @returns {Promise<object>} - Respuesta del envío
    */
-  async sendMessage(params) {
+  async sendMessage(params, { retries = null } = {}) {
     const { sessionId, waId, type, body, mediaUrl, caption, filename } = params;
 
     this.logger.info("📤 Enviando mensaje", {
@@ -222,22 +636,42 @@ class MessageSender {
 
     try {
       let response;
+      const options = await this.buildReplyOptions(params);
+      if (retries) options.retries = retries;
 
       switch (type) {
         case "text":
-          response = await this.sendText(sessionId, waId, body);
+          response = await this.sendText(sessionId, waId, body, options);
           break;
 
         case "image":
-          response = await this.sendImage(sessionId, waId, mediaUrl, caption);
+          response = await this.sendImage(
+            sessionId,
+            waId,
+            mediaUrl,
+            caption,
+            options
+          );
           break;
 
         case "audio":
-          response = await this.sendAudio(sessionId, waId, mediaUrl);
+          response = await this.sendAudio(
+            sessionId,
+            waId,
+            mediaUrl,
+            params.ptt !== false,
+            options
+          );
           break;
 
         case "video":
-          response = await this.sendVideo(sessionId, waId, mediaUrl, caption);
+          response = await this.sendVideo(
+            sessionId,
+            waId,
+            mediaUrl,
+            caption,
+            options
+          );
           break;
 
         case "document":
@@ -246,12 +680,43 @@ class MessageSender {
             waId,
             mediaUrl,
             filename,
-            caption
+            caption,
+            options
           );
           break;
 
+        case "location":
+          response = await this.sendLocation(sessionId, waId, params, options);
+          break;
+
+        case "live_location":
+          response = await this.sendLiveLocation(
+            sessionId,
+            waId,
+            params,
+            options
+          );
+          break;
+
+        case "contact":
+          response = await this.sendContacts(sessionId, waId, params, options);
+          break;
+
+        case "sticker":
+          response = await this.sendSticker(sessionId, waId, mediaUrl, options);
+          break;
+
         default:
-          throw new Error(`Tipo de mensaje no soportado: ${type}`);
+          if (!INTERACTIVE_TYPES.includes(type)) {
+            throw new AppError(`Tipo de mensaje no soportado: ${type}`, 400);
+          }
+
+          response = await this.sendInteractive(
+            sessionId,
+            waId,
+            params,
+            options
+          );
       }
 
       this.logger.info("✅ Mensaje enviado correctamente", {
@@ -260,6 +725,11 @@ class MessageSender {
         type,
       });
 
+      await this.receipts?.track(sessionId, response?.key?.id, {
+        messageRef: params.messageRef || params.message_ref || null,
+        waId,
+      });
+
       return { success: true, response };
     } catch (error) {
       this.logger.error("❌ Error enviando mensaje", error, {
@@ -271,6 +741,42 @@ class MessageSender {
     }
   }
 
+  /**
+   * 💬 Opciones de cita y menciones a partir de reply_to_wam_id / mentions
+   *
+   * Si el mensaje a citar ya no está en el store se envía sin cita.
+   */
+  async buildReplyOptions(params) {
+    const options = {};
+
+    if (Array.isArray(params.mentions) && params.mentions.length > 0) {
+      options.mentions = params.mentions.map(
+        (number) => String(number).replace(/[^0-9]/g, "") + "@s.whatsapp.net"
+      );
+    }
+
+    if (params.reply_to_wam_id && this.messageStore) {
+      const quoted = await this.messageStore.get(
+        params.sessionId,
+        params.reply_to_wam_id
+      );
+
+      if (quoted) {
+        options.quoted = quoted;
+      } else {
+        this.logger.warn(
+          "⚠️ Mensaje a citar no encontrado, se envía sin cita",
+          {
+            sessionId: params.sessionId,
+            replyToWamId: params.reply_to_wam_id,
+          }
+        );
+      }
+    }
+
+    return options;
+  }
+
   /**
    * 📊 Obtiene el estado de una sesión
    *
@@ -291,7 +797,7 @@ class MessageSender {
     const session = this.sessions[sessionId];
 
     if (!session) {
-      throw new Error(`Sesión no encontrada: ${sessionId}`);
+      throw new AppError(`Sesión no encontrada: ${sessionId}`, 404);
     }
 
     // Caso 1: sock directo
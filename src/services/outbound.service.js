@@ -0,0 +1,193 @@
+/**
+ * 📮 Módulo de Envíos Encolados
+ *
+ * Persiste los envíos salientes en Bull para que no se pierdan si el
+ * caller HTTP hace timeout o el contenedor se reinicia:
+ * - Encolar y devolver un job id de inmediato
+ * - Enviar desde el worker por el socket de la sesión
+ * - Reenviar al nodo dueño si la sesión vive en otra réplica
+ * - Reportar el resultado final (wamId o error) a Laravel vía batch
+ */
+
+const { forwardToNode } = require("../middleware/session-routing");
+const { RESERVED_HEADER } = require("./rate-limiter.service");
+const { AppError } = require("../middleware/error-handler");
+
+// 4xx que sí se reintentan (en curso en el nodo dueño, rate limit)
+const RETRYABLE_STATUS = [408, 409, 429];
+
+/**
+ * 🚫 Error que no cambia al reintentar (payload inválido, grupos
+ * deshabilitados, sesión inexistente, tipo no soportado, 4xx del dueño)
+ */
+const isPermanent = (error) =>
+  error?.statusCode >= 400 &&
+  error.statusCode < 500 &&
+  !RETRYABLE_STATUS.includes(error.statusCode);
+
+class OutboundDispatcher {
+  constructor(
+    queueManager,
+    messageSender,
+    whatsappService,
+    batchQueueManager,
+    logger
+  ) {
+    this.queueManager = queueManager;
+    this.messageSender = messageSender;
+    this.whatsappService = whatsappService;
+    this.batchQueueManager = batchQueueManager;
+    this.logger = logger;
+  }
+
+  /**
+   * ⏰ Registra el worker y el handler de dead-letter
+   */
+  start() {
+    this.queueManager.processOutbound((data, job) => this.process(data, job));
+    this.queueManager.onOutboundDeadLetter((job, error) =>
+      this.handleDeadLetter(job, error)
+    );
+  }
+
+  /**
+   * ➕ Encola un envío
+   *
+   * @param {object} params - Parámetros de MessageSender.sendMessage
+   * @param {string} [idempotencyKey] - Se usa como jobId (Bull no duplica)
+   * @param {number} [delayMs] - Diferir el envío (rate limit en modo queue)
+   * @returns {Promise<{ jobId: string, status: string }>}
+   */
+  async enqueue(params, idempotencyKey = null, delayMs = 0) {
+    const job = await this.queueManager.addOutboundMessage(
+      {
+        ...params,
+        messageRef: params.message_ref || params.message_id || null,
+        enqueuedAt: Date.now(),
+      },
+      {
+        ...(idempotencyKey && {
+          jobId: `idem:${params.sessionId}:${idempotencyKey}`,
+        }),
+        ...(delayMs > 0 && { delay: delayMs }),
+      }
+    );
+
+    return {
+      jobId: String(job.id),
+      status: delayMs > 0 ? "delayed" : "queued",
+    };
+  }
+
+  /**
+   * 🚀 Procesa un envío desde la cola
+   *
+   * Solo Bull reintenta (MessageSender hace un intento por job). Los errores
+   * permanentes descartan el job: van directo a dead-letter.
+   */
+  async process(data, job) {
+    try {
+      return await this.send(data, job);
+    } catch (error) {
+      if (isPermanent(error)) {
+        await job.discard();
+        error.discarded = true;
+      }
+      throw error;
+    }
+  }
+
+  async send(data, job) {
+    const { sessionId } = data;
+
+    if (!this.whatsappService.isLocalSession(sessionId)) {
+      const owner = await this.whatsappService.getSessionOwner(sessionId);
+
+      if (owner?.alive && !owner.local && owner.url) {
+        return await this.sendViaOwner(owner, data, job);
+      }
+    }
+
+    const { response } = await this.messageSender.sendMessage(data, {
+      retries: 1,
+    });
+    const wamId = response?.key?.id || null;
+
+    this.reportResult(data, job, { status: "sent", wamId });
+
+    return { wamId };
+  }
+
+  /**
+   * 🧭 La sesión vive en otra réplica: enviar en modo sync por su API
+   *
+   * La idempotency key es el job: si el reenvío hace timeout pero el dueño
+   * ya envió, el reintento recibe el resultado original sin reenviar.
+   */
+  async sendViaOwner(owner, data, job) {
+    const response = await forwardToNode(this.whatsappService.axios, owner, {
+      method: "POST",
+      path: "/send-message",
+      body: { ...data, session_id: data.sessionId, sync: true },
+      headers: {
+        [RESERVED_HEADER]: "1", // el cupo ya se reservó al encolar
+        "idempotency-key": `outbound:${job.id}`,
+      },
+      secret: this.whatsappService.config?.auth?.internalSecret,
+    });
+
+    if (response.status >= 400) {
+      const message = `Nodo ${owner.nodeId} respondió ${response.status}: ${
+        response.data?.error || "sin detalle"
+      }`;
+
+      throw response.status < 500
+        ? new AppError(message, response.status)
+        : new Error(message);
+    }
+
+    const wamId = response.data?.response?.key?.id || null;
+    this.reportResult(data, job, { status: "sent", wamId });
+
+    return { wamId, servedBy: owner.nodeId };
+  }
+
+  /**
+   * 💀 Envío sin más reintentos: queda en failed (dead-letter) y se reporta
+   */
+  async handleDeadLetter(job, error) {
+    this.logger.error("💀 Envío movido a dead-letter", error, {
+      jobId: job.id,
+      sessionId: job.data.sessionId,
+      attemptsMade: job.attemptsMade,
+    });
+
+    this.reportResult(job.data, job, {
+      status: "failed",
+      error: error?.message || job.failedReason,
+    });
+  }
+
+  reportResult(data, job, { status, wamId = null, error = null }) {
+    this.batchQueueManager.addOutboundResult({
+      session_id: data.sessionId,
+      job_id: String(job.id),
+      message_ref: data.messageRef || null,
+      wa_id: data.waId,
+      type: data.type,
+      status,
+      wam_id: wamId,
+      error,
+      attempts: job.attemptsMade + (status === "sent" ? 1 : 0),
+    });
+  }
+
+  /**
+   * 🔍 Estado de un envío encolado
+   */
+  async getStatus(jobId) {
+    return await this.queueManager.getOutboundJob(jobId);
+  }
+}
+
+module.exports = OutboundDispatcher;
@@ -2,7 +2,7 @@
  * 📊 Módulo de Gestión de Colas
  *
  * Gestiona:
- * - Colas de Bull/Redis para mensajes
+ * - Colas de Bull/Redis para mensajes entrantes y salientes
  * - Circuit Breaker para protección de servicios
  * - Métricas de rendimiento
  * - Procesamiento concurrente de mensajes
@@ -11,6 +11,9 @@
 const Queue = require("bull");
 const Redis = require("ioredis");
 
+// Respuestas de error de Laravel (HTML de excepciones...) se truncan
+const MAX_LOGGED_RESPONSE = 2000;
+
 /**
  * 🔌 Circuit Breaker Pattern
  * Protege servicios externos de sobrecarga
@@ -165,7 +168,9 @@ class QueueManager {
 
     // Instancias
     this.messageQueue = null;
+    this.outboundQueue = null;
     this.qrQueue = null;
+    this.webhookQueue = null;
     this.redisClient = null;
     this.circuitBreaker = new CircuitBreaker(5, 60000);
     this.metrics = new PerformanceMetrics(logger);
@@ -173,6 +178,16 @@ class QueueManager {
     // Configuraciones
     this.maxConcurrentMessages = config.maxConcurrentMessages || 5;
     this.messageProcessingTimeout = config.messageProcessingTimeout || 30000;
+    this.outboundConfig = {
+      attempts: config.outbound?.attempts ?? 3,
+      backoffMs: config.outbound?.backoffMs ?? 5000,
+      concurrency: config.outbound?.concurrency ?? 5,
+      keepCompleted: config.outbound?.keepCompleted ?? 1000,
+    };
+    this.webhookConfig = {
+      concurrency: config.webhooks?.concurrency ?? 5,
+      keepFailed: config.webhooks?.keepFailed ?? 1000,
+    };
   }
 
   /**
@@ -201,10 +216,18 @@ class QueueManager {
         redis: this.redisConfig,
       });
 
+      this.outboundQueue = new Queue("whatsapp-outbound", {
+        redis: this.redisConfig,
+      });
+
       this.qrQueue = new Queue("qr-processing", {
         redis: this.redisConfig,
       });
 
+      this.webhookQueue = new Queue("webhook-deliveries", {
+        redis: this.redisConfig,
+      });
+
       // Configurar event listeners
       this.setupQueueEvents();
 
@@ -232,6 +255,18 @@ class QueueManager {
       this.logger.warn("⚠️ Job estancado", { jobId: job.id });
     });
 
+    // Eventos de mensajes salientes
+    this.outboundQueue.on("completed", (job) => {
+      this.logger.info("✅ Envío completado", { jobId: job.id });
+    });
+
+    this.outboundQueue.on("failed", (job, err) => {
+      this.logger.error("❌ Envío falló", err, {
+        jobId: job.id,
+        attemptsMade: job.attemptsMade,
+      });
+    });
+
     // Eventos de QR
     this.qrQueue.on("completed", (job) => {
       this.logger.info("✅ QR job completado", { jobId: job.id });
@@ -240,6 +275,16 @@ class QueueManager {
     this.qrQueue.on("failed", (job, err) => {
       this.logger.error("❌ QR job falló", err, { jobId: job.id });
     });
+
+    // Eventos de webhooks
+    this.webhookQueue.on("failed", (job, err) => {
+      this.logger.warn("⚠️ Entrega de webhook falló", {
+        jobId: job.id,
+        webhookId: job.data.webhookId,
+        attemptsMade: job.attemptsMade,
+        error: err?.message,
+      });
+    });
   }
 
   /**
@@ -287,7 +332,7 @@ class QueueManager {
   /**
    * 🔄 Configura el procesador de mensajes
    *
-   * @param {Function} processorFn - Función que procesa el mensaje
+   * @param {Function} processorFn - (jobData, job) → procesa el mensaje
    */
   processMessages(processorFn) {
     this.messageQueue.process(this.maxConcurrentMessages, async (job) => {
@@ -303,7 +348,7 @@ class QueueManager {
           sessionId,
         });
 
-        const result = await processorFn(job.data);
+        const result = await processorFn(job.data, job);
 
         await this.metrics.endMessage(messageId, true, this.messageQueue);
 
@@ -316,6 +361,7 @@ class QueueManager {
         });
 
         await this.metrics.endMessage(messageId, false, this.messageQueue);
+        await this.logJobFailure(job, error);
 
         throw error;
       }
@@ -326,6 +372,168 @@ class QueueManager {
     });
   }
 
+  /**
+   * 📝 Guarda en los logs del job el error y la respuesta de Laravel de cada
+   * intento (se consultan en /dlq/messages)
+   */
+  async logJobFailure(job, error) {
+    const response = error.response?.data;
+
+    try {
+      await job.log(
+        JSON.stringify({
+          attempt: job.attemptsMade + 1,
+          at: Date.now(),
+          error: error.message,
+          status: error.response?.status ?? null,
+          response:
+            typeof response === "string"
+              ? response.slice(0, MAX_LOGGED_RESPONSE)
+              : response ?? null,
+        })
+      );
+    } catch (logError) {
+      this.logger.warn("⚠️ No se pudo registrar el fallo del job", {
+        jobId: job.id,
+        error: logError.message,
+      });
+    }
+  }
+
+  /**
+   * ➕ Agrega un mensaje saliente a la cola
+   *
+   * @param {object} payload - Parámetros de MessageSender.sendMessage
+   * @param {object} options - Opciones extra de Bull (jobId, delay...)
+   * @returns {Promise<Job>} - Job de Bull creado
+   */
+  async addOutboundMessage(payload, options = {}) {
+    try {
+      const job = await this.outboundQueue.add(payload, {
+        attempts: this.outboundConfig.attempts,
+        backoff: {
+          type: "exponential",
+          delay: this.outboundConfig.backoffMs,
+        },
+        timeout: this.messageProcessingTimeout * 2,
+        removeOnComplete: this.outboundConfig.keepCompleted,
+        removeOnFail: false, // dead-letter: se conservan para inspección
+        ...options,
+      });
+
+      this.logger.info("📤 Mensaje saliente encolado", {
+        jobId: job.id,
+        sessionId: payload.sessionId,
+        type: payload.type,
+      });
+
+      return job;
+    } catch (error) {
+      this.logger.error("❌ Error encolando mensaje saliente", error, {
+        sessionId: payload.sessionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 🔄 Configura el procesador de mensajes salientes
+   *
+   * @param {Function} processorFn - async (data, job) => result
+   */
+  processOutbound(processorFn) {
+    this.outboundQueue.process(this.outboundConfig.concurrency, async (job) => {
+      this.logger.info("🔄 Enviando mensaje desde cola", {
+        jobId: job.id,
+        sessionId: job.data.sessionId,
+        attempt: job.attemptsMade + 1,
+      });
+
+      return await processorFn(job.data, job);
+    });
+
+    this.logger.info("✅ Procesador de salientes configurado", {
+      concurrency: this.outboundConfig.concurrency,
+    });
+  }
+
+  /**
+   * ➕ Encola la entrega de un evento a un webhook
+   *
+   * @param {object} payload - { sessionId, webhookId, event }
+   * @param {object} retry - Política del endpoint { attempts, backoffMs }
+   * @returns {Promise<Job>} - Job de Bull creado
+   */
+  async addWebhookDelivery(payload, retry = {}) {
+    return await this.webhookQueue.add(payload, {
+      attempts: retry.attempts ?? 5,
+      backoff: {
+        type: "exponential",
+        delay: retry.backoffMs ?? 10000,
+      },
+      removeOnComplete: true,
+      removeOnFail: this.webhookConfig.keepFailed,
+    });
+  }
+
+  /**
+   * 🔄 Configura el procesador de entregas de webhooks
+   *
+   * @param {Function} processorFn - async (data, job) => result
+   */
+  processWebhooks(processorFn) {
+    this.webhookQueue.process(this.webhookConfig.concurrency, (job) =>
+      processorFn(job.data, job)
+    );
+
+    this.logger.info("✅ Procesador de webhooks configurado", {
+      concurrency: this.webhookConfig.concurrency,
+    });
+  }
+
+  /**
+   * 💀 Registra un handler para envíos que agotaron sus reintentos
+   *
+   * @param {Function} handler - async (job, error) => void
+   */
+  onOutboundDeadLetter(handler) {
+    this.outboundQueue.on("failed", (job, err) => {
+      // Descartado (error permanente): dead-letter sin agotar los intentos
+      if (job.attemptsMade < (job.opts.attempts || 1) && !err?.discarded) {
+        return;
+      }
+
+      Promise.resolve(handler(job, err)).catch((handlerError) =>
+        this.logger.error("❌ Error en handler de dead-letter", handlerError, {
+          jobId: job.id,
+        })
+      );
+    });
+  }
+
+  /**
+   * 🔍 Obtiene el estado de un envío encolado
+   *
+   * @param {string} jobId - ID del job de Bull
+   * @returns {Promise<object|null>}
+   */
+  async getOutboundJob(jobId) {
+    const job = await this.outboundQueue.getJob(jobId);
+    if (!job) return null;
+
+    return {
+      id: job.id,
+      state: await job.getState(),
+      attemptsMade: job.attemptsMade,
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      createdAt: job.timestamp,
+      finishedAt: job.finishedOn || null,
+      sessionId: job.data.sessionId,
+      messageRef: job.data.messageRef || null,
+    };
+  }
+
   /**
    * 🛡️ Ejecuta una función con circuit breaker
    *
@@ -343,14 +551,23 @@ class QueueManager {
    */
   async getStatus() {
     try {
-      const [messageQueueCounts, qrQueueCounts] = await Promise.all([
+      const [
+        messageQueueCounts,
+        outboundQueueCounts,
+        qrQueueCounts,
+        webhookQueueCounts,
+      ] = await Promise.all([
         this.messageQueue.getJobCounts(),
+        this.outboundQueue.getJobCounts(),
         this.qrQueue.getJobCounts(),
+        this.webhookQueue.getJobCounts(),
       ]);
 
       return {
         messageQueue: messageQueueCounts,
+        outboundQueue: outboundQueueCounts,
         qrQueue: qrQueueCounts,
+        webhookQueue: webhookQueueCounts,
         metrics: this.metrics.getMetrics(),
         circuitBreaker: this.circuitBreaker.getStatus(),
       };
@@ -387,10 +604,18 @@ class QueueManager {
         await this.messageQueue.close();
       }
 
+      if (this.outboundQueue) {
+        await this.outboundQueue.close();
+      }
+
       if (this.qrQueue) {
         await this.qrQueue.close();
       }
 
+      if (this.webhookQueue) {
+        await this.webhookQueue.close();
+      }
+
       if (this.redisClient) {
         this.redisClient.disconnect();
       }
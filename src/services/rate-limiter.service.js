@@ -0,0 +1,157 @@
+// src/services/rate-limiter.service.js
+
+/**
+ * 🚦 Rate Limiter de Envíos por Sesión
+ *
+ * Token buckets en Redis (compartidos entre réplicas):
+ * - Mensajes por minuto y por hora
+ * - Contactos nuevos por día (números a los que nunca se les escribió)
+ *
+ * En modo "queue" el bucket puede quedar en deuda: el envío se acepta y se
+ * encola con el delay necesario. En modo "reject" no se consume nada y se
+ * devuelve el tiempo de espera para el Retry-After.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const UNLIMITED = Number.MAX_SAFE_INTEGER; // límite 0 = sin límite
+
+// Envío reenviado por el worker de otra réplica que ya reservó el cupo
+const RESERVED_HEADER = "x-rate-limit-reserved";
+
+// Recarga y consume de los dos buckets y el cupo de contactos nuevos de forma
+// atómica (dos envíos simultáneos a números nuevos no superan el cupo)
+// Retorna { reason, ms de espera } (reason vacío = envío permitido)
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local allowDebt = ARGV[2] == '1'
+local waId = ARGV[7]
+local newContactsPerDay = tonumber(ARGV[8])
+local wait = 0
+local buckets = {}
+
+local isNewContact = redis.call('SISMEMBER', KEYS[3], waId) == 0
+if isNewContact and newContactsPerDay > 0 then
+  local used = tonumber(redis.call('GET', KEYS[4])) or 0
+  if used >= newContactsPerDay then
+    return { 'new_contacts_per_day', 0 }
+  end
+end
+
+for i = 1, 2 do
+  local capacity = tonumber(ARGV[2 + i * 2 - 1])
+  local windowMs = tonumber(ARGV[2 + i * 2])
+  local rate = capacity / windowMs
+  local state = redis.call('HMGET', KEYS[i], 'tokens', 'ts')
+  local tokens = tonumber(state[1]) or capacity
+  local ts = tonumber(state[2]) or now
+  tokens = math.min(capacity, tokens + (now - ts) * rate)
+  buckets[i] = { tokens = tokens, rate = rate, windowMs = windowMs }
+  if tokens < 1 then
+    wait = math.max(wait, math.ceil((1 - tokens) / rate))
+  end
+end
+
+if wait > 0 and not allowDebt then
+  return { 'rate_limited', wait }
+end
+
+for i = 1, 2 do
+  local b = buckets[i]
+  redis.call('HSET', KEYS[i], 'tokens', b.tokens - 1, 'ts', now)
+  redis.call('PEXPIRE', KEYS[i], b.windowMs * 2)
+end
+
+if isNewContact then
+  redis.call('SADD', KEYS[3], waId)
+  redis.call('INCR', KEYS[4])
+  redis.call('PEXPIRE', KEYS[4], tonumber(ARGV[9]))
+end
+
+return { '', wait }
+`;
+
+class RateLimiter {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {SessionSettings} settings
+   * @param {object} logger
+   */
+  constructor(redis, settings, logger) {
+    this.redis = redis;
+    this.settings = settings;
+    this.logger = logger;
+  }
+
+  keys = {
+    minute: (sessionId) => `ratelimit:${sessionId}:minute`,
+    hour: (sessionId) => `ratelimit:${sessionId}:hour`,
+    contacts: (sessionId) => `ratelimit:${sessionId}:contacts`,
+    newContacts: (sessionId, day) => `ratelimit:${sessionId}:new:${day}`,
+  };
+
+  /**
+   * 🎫 Reserva un envío para la sesión
+   *
+   * @param {string} sessionId
+   * @param {string} waId - Destinatario (para el cupo de contactos nuevos)
+   * @param {object} options
+   * @param {boolean} options.canQueue - El caller puede diferir el envío
+   * @returns {Promise<{ allowed: boolean, delayMs: number, reason: string|null }>}
+   */
+  async consume(sessionId, waId, { canQueue = false } = {}) {
+    const { rateLimit: limits } = await this.settings.get(sessionId);
+
+    if (!limits?.enabled) {
+      return { allowed: true, delayMs: 0, reason: null };
+    }
+
+    const now = Date.now();
+    const day = new Date(now).toISOString().slice(0, 10);
+
+    const allowDebt = canQueue && limits.mode === "queue";
+    const [reason, waitMs] = await this.redis.eval(
+      CONSUME_SCRIPT,
+      4,
+      this.keys.minute(sessionId),
+      this.keys.hour(sessionId),
+      this.keys.contacts(sessionId),
+      this.keys.newContacts(sessionId, day),
+      now,
+      allowDebt ? "1" : "0",
+      limits.perMinute || UNLIMITED,
+      MINUTE_MS,
+      limits.perHour || UNLIMITED,
+      HOUR_MS,
+      waId,
+      limits.newContactsPerDay || 0,
+      DAY_MS * 2
+    );
+
+    // El cupo diario siempre rechaza: encolar hasta mañana solo movería el pico
+    if (reason === "new_contacts_per_day") {
+      return {
+        allowed: false,
+        delayMs: DAY_MS - (now % DAY_MS),
+        reason,
+      };
+    }
+
+    if (reason) {
+      return { allowed: false, delayMs: waitMs, reason };
+    }
+
+    if (waitMs > 0) {
+      this.logger.info("🚦 Envío diferido por rate limit", {
+        sessionId,
+        delayMs: waitMs,
+      });
+    }
+
+    return { allowed: true, delayMs: waitMs, reason: null };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.RESERVED_HEADER = RESERVED_HEADER;
@@ -0,0 +1,226 @@
+// src/services/receipt.service.js
+
+/**
+ * 📬 Módulo de Confirmaciones de Entrega
+ *
+ * Sigue el estado de los mensajes enviados por la API:
+ * - Registrar wamId ↔ message_ref de Laravel al enviar
+ * - Escuchar messages.update y message-receipt.update del socket
+ * - Reportar cada transición (server_ack, delivered, read, played, failed)
+ *   a Laravel vía batch
+ * - Consultar el estado actual (GET /message/:wamId/status)
+ * - Publicar cada transición en el bus de eventos (tiempo real / webhooks)
+ *
+ * Cada estado guarda su primer timestamp (HSETNX): así una confirmación
+ * repetida o atrasada no se reporta dos veces ni hace retroceder el estado.
+ */
+
+// proto.WebMessageInfo.Status → estado reportado
+const MESSAGE_STATUS = {
+  0: "failed", // ERROR
+  2: "server_ack", // SERVER_ACK
+  3: "delivered", // DELIVERY_ACK
+  4: "read", // READ
+  5: "played", // PLAYED
+};
+
+// Orden de avance (failed solo aplica si nunca se entregó)
+const STATUS_ORDER = [
+  "pending",
+  "failed",
+  "server_ack",
+  "delivered",
+  "read",
+  "played",
+];
+
+const UNTRACKED_TTL_SECONDS = 120;
+
+class ReceiptTracker {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {BatchQueueManager} batchQueueManager
+   * @param {object} logger
+   * @param {object} options
+   * @param {number} [options.ttlSeconds] - Cuánto se sigue cada mensaje
+   * @param {SessionEventBus} [eventBus]
+   */
+  constructor(redis, batchQueueManager, logger, options = {}, eventBus = null) {
+    this.redis = redis;
+    this.batchQueueManager = batchQueueManager;
+    this.logger = logger;
+    this.eventBus = eventBus;
+    this.ttlSeconds = options.ttlSeconds || 7 * 24 * 3600;
+  }
+
+  keys = {
+    receipt: (wamId) => `receipt:${wamId}`,
+  };
+
+  /**
+   * ➕ Registra un mensaje enviado
+   *
+   * El SERVER_ACK puede llegar antes de que sendMessage retorne: los estados
+   * vistos antes de registrar se reportan aquí.
+   */
+  async track(sessionId, wamId, { messageRef = null, waId = null } = {}) {
+    if (!wamId) return;
+
+    const key = this.keys.receipt(wamId);
+
+    try {
+      const [[, early]] = await this.redis
+        .multi()
+        .hgetall(key)
+        .hset(key, {
+          session_id: sessionId,
+          wa_id: waId || "",
+          message_ref: messageRef || "",
+          pending_at: Date.now(),
+        })
+        .expire(key, this.ttlSeconds)
+        .exec();
+
+      for (const status of STATUS_ORDER) {
+        if (early?.[`${status}_at`]) {
+          this.report(sessionId, wamId, status, { messageRef, waId });
+        }
+      }
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo registrar el mensaje enviado", {
+        sessionId,
+        wamId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * 🔄 messages.update: cambios de estado de mensajes propios (chats 1:1)
+   */
+  async handleMessageUpdates(sessionId, updates = []) {
+    for (const { key, update } of updates) {
+      const status = MESSAGE_STATUS[update?.status];
+
+      if (key?.fromMe && status) {
+        await this.transition(sessionId, key.id, status);
+      }
+    }
+  }
+
+  /**
+   * 🧾 message-receipt.update: confirmaciones por participante (grupos)
+   */
+  async handleReceiptUpdates(sessionId, receipts = []) {
+    for (const { key, receipt } of receipts) {
+      if (!key?.fromMe || !receipt) continue;
+
+      const status = receipt.playedTimestamp
+        ? "played"
+        : receipt.readTimestamp
+        ? "read"
+        : receipt.receiptTimestamp
+        ? "delivered"
+        : null;
+
+      if (status) {
+        await this.transition(sessionId, key.id, status, receipt.userJid);
+      }
+    }
+  }
+
+  /**
+   * ➡️ Aplica un estado y lo reporta si es la primera vez que se ve y no
+   * retrocede (un delivered que llega después del read no se reporta)
+   */
+  async transition(sessionId, wamId, status, participant = null) {
+    const key = this.keys.receipt(wamId);
+
+    try {
+      const [[, tracked], [, isNew]] = await this.redis
+        .multi()
+        .hexists(key, "pending_at")
+        .hsetnx(key, `${status}_at`, Date.now())
+        .exec();
+
+      // Aún no registrado (o enviado desde el teléfono): se guarda un rato
+      // por si track() llega después, y se descarta si no
+      if (!tracked) {
+        await this.redis.expire(key, UNTRACKED_TTL_SECONDS);
+        return;
+      }
+
+      if (!isNew) return;
+
+      const receipt = await this.getStatus(wamId);
+
+      if (
+        receipt &&
+        STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(receipt.status)
+      ) {
+        return;
+      }
+
+      this.report(
+        sessionId,
+        wamId,
+        status,
+        { messageRef: receipt?.message_ref, waId: receipt?.wa_id },
+        participant
+      );
+    } catch (error) {
+      this.logger.warn("⚠️ Error procesando confirmación", {
+        sessionId,
+        wamId,
+        status,
+        error: error.message,
+      });
+    }
+  }
+
+  report(sessionId, wamId, status, { messageRef, waId }, participant = null) {
+    const receipt = {
+      session_id: sessionId,
+      wam_id: wamId,
+      message_ref: messageRef || null,
+      wa_id: waId || null,
+      status,
+      participant,
+    };
+
+    this.batchQueueManager.addReceipt(receipt);
+    this.eventBus?.publish(sessionId, "receipt", receipt);
+  }
+
+  /**
+   * 🔍 Estado actual de un mensaje
+   *
+   * @returns {Promise<object|null>} - null si no se envió por la API o expiró
+   */
+  async getStatus(wamId) {
+    const data = await this.redis.hgetall(this.keys.receipt(wamId));
+
+    if (!data?.pending_at) return null;
+
+    const timestamps = {};
+    let status = "pending";
+
+    for (const name of STATUS_ORDER) {
+      if (data[`${name}_at`]) {
+        timestamps[name] = Number(data[`${name}_at`]);
+        status = name;
+      }
+    }
+
+    return {
+      wam_id: wamId,
+      session_id: data.session_id,
+      wa_id: data.wa_id || null,
+      message_ref: data.message_ref || null,
+      status,
+      timestamps,
+    };
+  }
+}
+
+module.exports = ReceiptTracker;
@@ -3,27 +3,224 @@
  *
  * Gestiona todo el procesamiento de mensajes entrantes de WhatsApp:
  * - Resolución de LIDs
- * - Descarga de archivos multimedia
+ * - Mensajes de grupos (opt-in por sesión) con participante y nombre del grupo
+ * - Descarga de archivos multimedia (imagen, video, audio, documento, sticker)
+ * - Guardado en el storage de media (disco o S3)
  * - Preparación de datos para envío a Laravel
  */
 
 const { downloadContentFromMessage } = require("@whiskeysockets/baileys");
-const fs = require("fs");
 const path = require("path");
-const FormData = require("form-data");
-const { resolveLid, isValidUserJid } = require("../utils/lidResolver");
+const {
+  resolveLid,
+  isValidUserJid,
+  isGroupJid,
+} = require("../utils/lidResolver");
+const { toBuffer, toNumber } = require("../utils/helpers");
+const { LocalMediaStorage } = require("./media-storage.service");
+const { parseVcard } = require("../utils/vcard");
+const { SignedFormData } = require("../utils/webhookSigner");
+
+// Tipos de media que se descargan y reenvían a Laravel
+const MEDIA_MESSAGES = {
+  imageMessage: { type: "image", mediaType: "image", placeholder: "[Imagen]" },
+  videoMessage: { type: "video", mediaType: "video", placeholder: "[Video]" },
+  ptvMessage: { type: "video", mediaType: "video", placeholder: "[Video]" },
+  audioMessage: {
+    type: "audio",
+    mediaType: "audio",
+    placeholder: "[Mensaje de audio]",
+  },
+  documentMessage: {
+    type: "document",
+    mediaType: "document",
+    placeholder: "[Documento]",
+  },
+  stickerMessage: {
+    type: "sticker",
+    mediaType: "sticker",
+    placeholder: "[Sticker]",
+  },
+};
+
+/**
+ * 📇 Contactos de un mensaje como JSON para el webhook
+ */
+const describeContacts = (cards) =>
+  JSON.stringify(
+    cards.map((card) => ({
+      display_name: card.displayName || null,
+      ...parseVcard(card.vcard),
+      vcard: card.vcard || null,
+    }))
+  );
+
+// Mensajes sin archivo con datos estructurados → type + campos del webhook
+// (respuestas a interactivos, ubicaciones, contactos)
+const STRUCTURED_MESSAGES = {
+  buttonsResponseMessage: (reply) => ({
+    type: "button_reply",
+    text: reply.selectedDisplayText || "",
+    fields: {
+      reply_id: reply.selectedButtonId,
+      reply_title: reply.selectedDisplayText,
+    },
+  }),
+  listResponseMessage: (reply) => ({
+    type: "list_reply",
+    text: reply.title || "",
+    fields: {
+      reply_id: reply.singleSelectReply?.selectedRowId,
+      reply_title: reply.title,
+      reply_description: reply.description,
+    },
+  }),
+  templateButtonReplyMessage: (reply) => ({
+    type: "template_reply",
+    text: reply.selectedDisplayText || "",
+    fields: {
+      reply_id: reply.selectedId,
+      reply_title: reply.selectedDisplayText,
+      reply_index: reply.selectedIndex,
+    },
+  }),
+  locationMessage: (location) => ({
+    type: "location",
+    text: location.name || location.address || "[Ubicación]",
+    fields: {
+      latitude: location.degreesLatitude,
+      longitude: location.degreesLongitude,
+      location_name: location.name,
+      location_address: location.address,
+      location_url: location.url,
+    },
+  }),
+  liveLocationMessage: (location) => ({
+    type: "live_location",
+    text: location.caption || "[Ubicación en tiempo real]",
+    fields: {
+      latitude: location.degreesLatitude,
+      longitude: location.degreesLongitude,
+      accuracy_meters: location.accuracyInMeters,
+      sequence_number: toNumber(location.sequenceNumber),
+    },
+  }),
+  contactMessage: (contact) => ({
+    type: "contact",
+    text: contact.displayName || "[Contacto]",
+    fields: { contacts: describeContacts([contact]), contacts_count: 1 },
+  }),
+  contactsArrayMessage: (message) => ({
+    type: "contact",
+    text: message.displayName || "[Contactos]",
+    fields: {
+      contacts: describeContacts(message.contacts || []),
+      contacts_count: message.contacts?.length || 0,
+    },
+  }),
+};
+
+// protocolMessage que sí se reenvían (proto.Message.ProtocolMessage.Type)
+const PROTOCOL_EVENTS = {
+  0: "message_deleted", // REVOKE
+  14: "message_edited", // MESSAGE_EDIT
+};
+
+/**
+ * ✏️ Texto de un mensaje (texto plano o caption de media): ediciones y citas
+ */
+const messageText = (message = {}) =>
+  message.conversation ||
+  message.extendedTextMessage?.text ||
+  Object.values(message).find((content) => content?.caption)?.caption ||
+  "";
+
+// Eventos sobre un mensaje anterior → target_wam_id es el wamId original
+const MESSAGE_EVENTS = {
+  reactionMessage: (reaction) => ({
+    type: "reaction",
+    text: reaction.text || "",
+    fields: {
+      target_wam_id: reaction.key?.id,
+      reaction: reaction.text || null,
+      reaction_removed: !reaction.text, // emoji vacío = reacción quitada
+    },
+  }),
+  protocolMessage: (protocol) => {
+    const type = PROTOCOL_EVENTS[protocol.type];
+    if (!type) return null;
+
+    return {
+      type,
+      text:
+        type === "message_edited" ? messageText(protocol.editedMessage) : "",
+      fields: { target_wam_id: protocol.key?.id },
+    };
+  },
+};
+
+/**
+ * 🔁 Reacción, edición o eliminación contenida en el mensaje (o null)
+ *
+ * Las ediciones pueden venir envueltas en editedMessage.message.
+ */
+const findMessageEvent = (message) => {
+  const unwrapped = message.editedMessage?.message || message;
+
+  for (const [key, parse] of Object.entries(MESSAGE_EVENTS)) {
+    if (unwrapped[key]) {
+      const event = parse(unwrapped[key]);
+      if (event) return event;
+    }
+  }
+
+  return null;
+};
+
+// No cuentan como mensajes sin leer
+const EVENT_TYPES = new Set(["reaction", ...Object.values(PROTOCOL_EVENTS)]);
+
+const DEFAULT_MAX_MEDIA_BYTES = 16 * 1024 * 1024; // 16 MB
+const GROUP_SUBJECT_TTL_MS = 10 * 60 * 1000; // 10 minutos
 
 class MessageReceiver {
-  constructor(axiosInstance, laravelApi, logger) {
+  /**
+   * @param {object} options
+   * @param {SessionEventBus} [options.eventBus] - Notificaciones en tiempo real
+   * @param {object} [options.media] - { maxBytes, delivery }
+   * @param {LocalMediaStorage|S3MediaStorage} [options.storage] - Default: audios/
+   * @param {AudioTranscoder} [options.transcoder] - Para options.media.audioFormat
+   * @param {SessionSettings} [options.settings] - receiver.autoRead y
+   *   groups.enabled por sesión
+   * @param {MessageStore} [options.messageStore] - Keys sin leer por chat
+   * @param {AccountMetadataCache} [options.accountCache] - webhook_token por
+   *   sesión (sin él se consulta a Laravel en cada mensaje)
+   * @param {string} [options.webhookTokenIn] - "path" (/whatsapp-webhook/{token})
+   *   o "header" (X-Webhook-Token, fuera de la URL y de los access logs)
+   */
+  constructor(axiosInstance, laravelApi, logger, options = {}) {
     this.axios = axiosInstance;
     this.laravelApi = laravelApi;
     this.logger = logger;
-    this.audioDir = path.join(__dirname, "..", "audios");
-
-    // Crear directorio de audios si no existe
-    if (!fs.existsSync(this.audioDir)) {
-      fs.mkdirSync(this.audioDir, { recursive: true });
-    }
+    this.eventBus = options.eventBus || null;
+    this.settings = options.settings || null;
+    this.messageStore = options.messageStore || null;
+    this.accountCache = options.accountCache || null;
+    this.webhookTokenIn = options.webhookTokenIn || "path";
+    this.groupSubjects = new Map(); // groupJid → { subject, expiresAt }
+    this.maxMediaBytes = options.media?.maxBytes || DEFAULT_MAX_MEDIA_BYTES;
+
+    // "multipart" adjunta el archivo; "url" manda media_url firmada si el
+    // storage la soporta (S3), si no cae a multipart
+    this.mediaDelivery = options.media?.delivery || "multipart";
+
+    // Audio entrante a "mp3" / "wav" (null = Opus original)
+    this.transcoder = options.transcoder || null;
+    this.inboundAudioFormat = options.media?.audioFormat || null;
+
+    this.storage =
+      options.storage ||
+      new LocalMediaStorage(path.join(__dirname, "..", "audios"), logger);
   }
 
   /**
@@ -31,10 +228,14 @@ class MessageReceiver {
    *
    * @param {object} msg - Objeto mensaje de Baileys
    * @param {string} sessionId - ID de la sesión
-   * @param {object} sock - Socket de WhatsApp
+   * @param {object|null} sock - Socket de WhatsApp (null si la sesión corre
+   *   en otra réplica)
+   * @param {object} [delivery] - Estado del job entre reintentos
+   * @param {boolean} [delivery.published] - El evento "message" ya se publicó
+   * @param {Function} [delivery.onPublished] - Registra que se publicó
    * @returns {object} - Resultado del procesamiento
    */
-  async processMessage(msg, sessionId, sock) {
+  async processMessage(msg, sessionId, sock, delivery = {}) {
     const messageId = msg.key.id;
 
     try {
@@ -57,11 +258,11 @@ class MessageReceiver {
       }
 
       // 🚫 Filtrar eventos de protocolo/sincronización
+      // (reacciones, ediciones y eliminaciones sí se reenvían)
       const messageTypes = Object.keys(msg.message);
       const protocolMessages = [
         "protocolMessage",
         "senderKeyDistributionMessage",
-        "reactionMessage",
         "ephemeralMessage",
         "viewOnceMessage",
         "pollUpdateMessage",
@@ -71,7 +272,7 @@ class MessageReceiver {
         protocolMessages.includes(type)
       );
 
-      if (hasProtocolMessage) {
+      if (hasProtocolMessage && !findMessageEvent(msg.message)) {
         this.logger.info("🚫 Mensaje de protocolo ignorado", {
           messageId,
           sessionId,
@@ -97,9 +298,23 @@ class MessageReceiver {
       }
 
       const fromRaw = msg.key.remoteJid;
+      const isGroup = isGroupJid(fromRaw);
+
+      // 👥 Grupos: solo si la sesión los tiene habilitados
+      if (isGroup && !(await this.groupsEnabled(sessionId))) {
+        this.logger.info(
+          "🚫 Mensaje de grupo ignorado (grupos deshabilitados)",
+          {
+            fromRaw,
+            messageId,
+            sessionId,
+          }
+        );
+        return { success: true, skipped: true, reason: "groups-disabled" };
+      }
 
-      // 🚫 Validar tipo de remitente (solo usuarios individuales)
-      if (!isValidUserJid(fromRaw)) {
+      // 🚫 Validar tipo de remitente (usuarios individuales o grupos)
+      if (!isGroup && !isValidUserJid(fromRaw)) {
         this.logger.warn("⚠️ Mensaje descartado por tipo de remitente", {
           fromRaw,
           messageId,
@@ -109,7 +324,9 @@ class MessageReceiver {
       }
 
       // 🔍 Resolver el número real del remitente (manejar LIDs)
-      const fromClean = resolveLid(fromRaw, sessionId, msg, this.logger);
+      // En grupos el remitente es el participante
+      const senderRaw = isGroup ? msg.key.participant : fromRaw;
+      const fromClean = resolveLid(senderRaw, sessionId, msg, this.logger);
 
       if (!fromClean) {
         this.logger.error("❌ No se pudo resolver el remitente", {
@@ -129,6 +346,14 @@ class MessageReceiver {
         sessionId
       );
 
+      if (isGroup) {
+        Object.assign(messageData.fields, {
+          group_jid: fromRaw,
+          group_subject: await this.getGroupSubject(sock, fromRaw),
+          participant: fromClean,
+        });
+      }
+
       this.logger.info("📨 Nuevo mensaje recibido", {
         fromClean,
         pushName,
@@ -151,6 +376,17 @@ class MessageReceiver {
         return { success: true, skipped: true, reason: "empty-text" };
       }
 
+      // 📡 Evento en tiempo real (SSE / WS / webhooks propios): no depende de
+      // que Laravel responda, y una vez por mensaje aunque el job se reintente
+      if (!delivery.published) {
+        this.publishMessage(msg, sessionId, messageData, {
+          fromClean,
+          pushName,
+          groupJid: isGroup ? fromRaw : null,
+        });
+        await this.markPublished(delivery, messageId, sessionId);
+      }
+
       // 📤 Enviar a Laravel
       await this.sendToLaravel(
         messageData,
@@ -166,6 +402,11 @@ class MessageReceiver {
         sessionId,
       });
 
+      if (!EVENT_TYPES.has(messageData.type)) {
+        const chatId = isGroup ? fromRaw : fromClean;
+        await this.markReceived(msg, sessionId, sock, chatId);
+      }
+
       return { success: true, messageId, from: fromClean };
     } catch (error) {
       this.logger.error("❌ Error procesando mensaje", error, {
@@ -176,112 +417,382 @@ class MessageReceiver {
     }
   }
 
+  async groupsEnabled(sessionId) {
+    const { groups } = (await this.settings?.get(sessionId)) || {};
+    return Boolean(groups?.enabled);
+  }
+
+  /**
+   * 📡 Publica el mensaje en el bus de eventos
+   */
+  publishMessage(
+    msg,
+    sessionId,
+    messageData,
+    { fromClean, pushName, groupJid }
+  ) {
+    this.eventBus?.publish(sessionId, "message", {
+      wamId: msg.key.id,
+      from: fromClean,
+      pushName,
+      type: messageData.type,
+      text: messageData.text,
+      groupJid,
+      timestamp: msg.messageTimestamp,
+      fields: messageData.fields || {}, // mismos campos extra que el webhook
+      mediaKey: messageData.mediaKey || null, // archivo en el storage de media
+    });
+  }
+
+  /**
+   * 🏷️ Anota en el job que el evento ya salió (si falla, un reintento lo
+   * publicaría de nuevo: se registra pero no se corta el envío a Laravel)
+   */
+  async markPublished(delivery, messageId, sessionId) {
+    try {
+      await delivery.onPublished?.();
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo registrar el evento publicado", {
+        messageId,
+        sessionId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * 🏷️ Nombre del grupo (cacheado en memoria unos minutos)
+   *
+   * @param {object} sock - Sesión ({ sock }) o socket de WhatsApp
+   * @returns {Promise<string|null>}
+   */
+  async getGroupSubject(sock, groupJid) {
+    const cached = this.groupSubjects.get(groupJid);
+    if (cached && cached.expiresAt > Date.now()) return cached.subject;
+    if (!sock) return cached?.subject || null;
+
+    try {
+      const metadata = await (sock?.sock || sock).groupMetadata(groupJid);
+
+      this.groupSubjects.set(groupJid, {
+        subject: metadata?.subject || null,
+        expiresAt: Date.now() + GROUP_SUBJECT_TTL_MS,
+      });
+
+      return metadata?.subject || null;
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo obtener el nombre del grupo", {
+        groupJid,
+        error: error.message,
+      });
+      return cached?.subject || null;
+    }
+  }
+
+  /**
+   * 👀 Auto-lectura (si la sesión la tiene activa) o registro como sin leer
+   * para POST /chat/read
+   *
+   * Nunca lanza: corre después de entregar a Laravel y un error aquí haría
+   * que Bull reintente el job y duplique el mensaje.
+   *
+   * @param {object} sock - Sesión ({ sock }) o socket de WhatsApp
+   */
+  async markReceived(msg, sessionId, sock, chatId) {
+    try {
+      const { receiver } = (await this.settings?.get(sessionId)) || {};
+      const socket = sock?.sock || sock;
+
+      // Sin socket local no se puede leer ahora: queda para POST /chat/read
+      if (!receiver?.autoRead || !socket) {
+        await this.messageStore?.addUnread(sessionId, chatId, msg.key);
+        return;
+      }
+
+      await socket.readMessages([msg.key]);
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo marcar como leído", {
+        messageId: msg.key.id,
+        sessionId,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * 📝 Extrae el contenido de un mensaje según su tipo
    *
    * @param {object} msg - Objeto mensaje
    * @param {string} fromClean - Número del remitente limpio
    * @param {string} sessionId - ID de la sesión
-   * @returns {object} - Datos del mensaje { type, text, filename }
+   * @returns {object} - Datos del mensaje { type, text, mediaKey, fields }
+   *   mediaKey: key del archivo en el storage
+   *   fields: campos extra del webhook (metadata de media, etc.)
    */
   async extractMessageContent(msg, fromClean, sessionId) {
     let type = "text";
     let text = "";
-    let filename = null;
+    let mediaKey = null;
+    let fields = {};
+
+    // 💬 Cita y menciones (aplica a cualquier tipo)
+    const context = this.describeContext(msg.message, sessionId);
 
     // 📝 Mensaje de texto
     if (msg.message.conversation) {
       text = msg.message.conversation;
     } else if (msg.message.extendedTextMessage?.text) {
       text = msg.message.extendedTextMessage.text;
-    } else if (msg.message.imageMessage?.caption) {
-      text = msg.message.imageMessage.caption;
-      type = "image";
     }
 
-    // 🔊 Mensaje de audio
-    if (msg.message.audioMessage) {
-      const audioData = await this.downloadAudio(
-        msg.message.audioMessage,
+    // 🔁 Reacción, edición o eliminación de un mensaje anterior
+    const event = findMessageEvent(msg.message);
+
+    if (event) {
+      return { ...event, mediaKey: null };
+    }
+
+    // 🔘 Respuestas a interactivos, 📍 ubicaciones, 📇 contactos
+    for (const [key, parse] of Object.entries(STRUCTURED_MESSAGES)) {
+      if (msg.message[key]) {
+        const reply = parse(msg.message[key]);
+        return {
+          ...reply,
+          mediaKey: null,
+          fields: { ...reply.fields, ...context },
+        };
+      }
+    }
+
+    // 📎 Mensaje multimedia
+    const media = this.findMediaMessage(msg.message);
+
+    if (media) {
+      type = media.spec.type;
+      text = media.content.caption || media.spec.placeholder;
+      fields = this.describeMedia(media.content);
+
+      const download = await this.downloadMedia(
+        media.content,
+        media.spec.mediaType,
         fromClean,
-        msg.key.id
+        msg.key.id,
+        sessionId
       );
-      type = "audio";
-      text = "[Mensaje de audio]";
-      filename = audioData.filename;
+
+      mediaKey = download.key;
+
+      if (download.skipped) {
+        fields.media_skipped = download.skipped;
+      }
+
+      if (download.mimetype && download.mimetype !== fields.media_mimetype) {
+        fields.media_original_mimetype = fields.media_mimetype;
+        fields.media_mimetype = download.mimetype;
+        fields.media_size = download.size;
+      }
+    }
+
+    return { type, text, mediaKey, fields: { ...fields, ...context } };
+  }
+
+  /**
+   * 🔎 Busca el contenido multimedia del mensaje
+   *
+   * @returns {{ content: object, spec: object }|null}
+   */
+  findMediaMessage(message) {
+    // Documento con caption viene envuelto en otro mensaje
+    const unwrapped =
+      message.documentWithCaptionMessage?.message?.documentMessage;
+
+    if (unwrapped) {
+      return { content: unwrapped, spec: MEDIA_MESSAGES.documentMessage };
     }
 
-    // 🖼️ Mensaje de imagen
-    if (msg.message.imageMessage && type !== "image") {
-      type = "image";
-      text = msg.message.imageMessage.caption || "[Imagen]";
+    for (const [key, spec] of Object.entries(MEDIA_MESSAGES)) {
+      if (message[key]) {
+        return { content: message[key], spec };
+      }
     }
 
-    // 🎥 Mensaje de video
-    if (msg.message.videoMessage) {
-      type = "video";
-      text = msg.message.videoMessage.caption || "[Video]";
+    return null;
+  }
+
+  /**
+   * 🏷️ Metadata de un mensaje multimedia para el webhook
+   */
+  describeMedia(content) {
+    const sha256 = toBuffer(content.fileSha256);
+
+    return {
+      media_mimetype: content.mimetype || null,
+      media_filename: content.fileName || null,
+      media_size: toNumber(content.fileLength),
+      media_width: content.width || null,
+      media_height: content.height || null,
+      media_seconds: content.seconds || null,
+      media_sha256: sha256 ? sha256.toString("base64") : null,
+      media_animated: content.isAnimated ?? null, // stickers
+    };
+  }
+
+  /**
+   * 💬 Mensaje citado y menciones (contextInfo) para el webhook
+   *
+   * Los participantes pueden venir como LID: se resuelven igual que el
+   * remitente.
+   */
+  describeContext(message, sessionId) {
+    const contextInfo = Object.values(message).find(
+      (content) => content?.contextInfo
+    )?.contextInfo;
+
+    if (!contextInfo) return {};
+
+    const fields = {};
+    const toPhone = (jid) =>
+      resolveLid(jid, sessionId, null, this.logger) || jid;
+
+    if (contextInfo.stanzaId) {
+      const quoted = contextInfo.quotedMessage || {};
+
+      fields.reply_to_wam_id = contextInfo.stanzaId;
+      fields.quoted_text = messageText(quoted) || null;
+      fields.quoted_participant = contextInfo.participant
+        ? toPhone(contextInfo.participant)
+        : null;
     }
 
-    // 📄 Mensaje de documento
-    if (msg.message.documentMessage) {
-      type = "document";
-      text = msg.message.documentMessage.caption || "[Documento]";
+    if (contextInfo.mentionedJid?.length) {
+      fields.mentions = JSON.stringify(contextInfo.mentionedJid.map(toPhone));
     }
 
-    return { type, text, filename };
+    return fields;
   }
 
   /**
-   * 🔊 Descarga y guarda un archivo de audio
+   * 📥 Descarga y guarda un archivo multimedia
+   *
+   * Respeta el tamaño máximo configurado: si se supera no se guarda nada y se
+   * retorna skipped = "too_large" (Laravel recibe solo la metadata).
    *
-   * @param {object} audioMsg - Objeto audioMessage de Baileys
+   * @param {object} content - imageMessage, videoMessage, audioMessage, etc.
+   * @param {string} mediaType - Tipo para downloadContentFromMessage
    * @param {string} fromClean - Número del remitente
    * @param {string} messageId - ID del mensaje
-   * @returns {object} - { filename, mimetype, extension }
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Promise<{ key: string|null, skipped: string|null, mimetype?: string, size?: number }>}
+   *   mimetype/size: los del archivo guardado (si se transcodificó)
    */
-  async downloadAudio(audioMsg, fromClean, messageId) {
-    try {
-      const mime = audioMsg.mimetype || "audio/ogg";
-      const ext = mime.split("/")[1].split(";")[0] || "ogg";
+  async downloadMedia(content, mediaType, fromClean, messageId, sessionId) {
+    const declaredSize = toNumber(content.fileLength) || 0;
+
+    if (declaredSize > this.maxMediaBytes) {
+      this.logger.warn("⚠️ Media supera el tamaño máximo, no se descarga", {
+        sessionId,
+        messageId,
+        mediaType,
+        size: declaredSize,
+        maxBytes: this.maxMediaBytes,
+      });
+      return { key: null, skipped: "too_large" };
+    }
 
-      // Descargar el stream
-      const stream = await downloadContentFromMessage(audioMsg, "audio");
+    try {
+      // Los Buffers llegan serializados desde el job de Bull
+      const stream = await downloadContentFromMessage(
+        {
+          ...content,
+          mediaKey: toBuffer(content.mediaKey),
+          fileEncSha256: toBuffer(content.fileEncSha256),
+        },
+        mediaType
+      );
       const chunks = [];
+      let size = 0;
 
       for await (const chunk of stream) {
+        size += chunk.length;
+
+        if (size > this.maxMediaBytes) {
+          stream.destroy();
+          this.logger.warn("⚠️ Media supera el tamaño máximo en descarga", {
+            sessionId,
+            messageId,
+            mediaType,
+            maxBytes: this.maxMediaBytes,
+          });
+          return { key: null, skipped: "too_large" };
+        }
+
         chunks.push(chunk);
       }
 
-      const buffer = Buffer.concat(chunks);
+      let buffer = Buffer.concat(chunks);
+      let extension = this.mediaExtension(content);
+      let mimetype = content.mimetype;
 
-      // Guardar en archivo
-      const filename = path.join(
-        this.audioDir,
-        `${fromClean}_${messageId}.${ext}`
-      );
-      fs.writeFileSync(filename, buffer);
+      // 🎚️ Audio a mp3/wav para speech-to-text (si falla, se guarda el original)
+      if (mediaType === "audio" && this.transcoder && this.inboundAudioFormat) {
+        try {
+          const converted = await this.transcoder.transcodeInbound(
+            buffer,
+            this.inboundAudioFormat
+          );
+          ({ buffer, extension, mimetype } = converted);
+        } catch (error) {
+          this.logger.warn("⚠️ No se pudo convertir el audio entrante", {
+            sessionId,
+            messageId,
+            format: this.inboundAudioFormat,
+            error: error.message,
+          });
+        }
+      }
 
-      this.logger.info("🔊 Audio guardado", {
-        filename,
+      // Guardar en el storage
+      const key = `${sessionId}/${fromClean}_${messageId}.${extension}`;
+      await this.storage.save(key, buffer, { contentType: mimetype });
+
+      this.logger.info("📎 Media guardada", {
+        key,
+        storage: this.storage.driver,
+        mediaType,
         size: buffer.length,
-        mimetype: mime,
+        mimetype,
       });
 
-      return { filename, mimetype: mime, extension: ext };
+      return { key, skipped: null, mimetype, size: buffer.length };
     } catch (error) {
-      this.logger.error("❌ Error descargando audio", error, {
+      this.logger.error("❌ Error descargando media", error, {
         fromClean,
         messageId,
+        mediaType,
       });
       throw error;
     }
   }
 
+  /**
+   * 🏷️ Extensión del archivo: la del nombre original o la del mimetype
+   */
+  mediaExtension(content) {
+    const fromName = path
+      .extname(content.fileName || "")
+      .slice(1)
+      .replace(/[^a-zA-Z0-9]/g, "");
+
+    if (fromName) return fromName.toLowerCase();
+
+    const mime = content.mimetype || "application/octet-stream";
+    return mime.split("/")[1]?.split(";")[0] || "bin";
+  }
+
   /**
    * 📤 Envía el mensaje procesado a Laravel
    *
-   * @param {object} messageData - Datos del mensaje { type, text, filename }
+   * @param {object} messageData - Datos del mensaje { type, text, mediaKey, fields }
    * @param {object} msg - Mensaje original completo
    * @param {string} sessionId - ID de la sesión
    * @param {string} pushName - Nombre del contacto
@@ -290,13 +801,14 @@ class MessageReceiver {
   async sendToLaravel(messageData, msg, sessionId, pushName, fromClean) {
     try {
       // 🔑 Obtener token de webhook
-      const { data } = await this.axios.get(
-        `${this.laravelApi}/whatsapp/account/${sessionId}`
-      );
-      const accountToken = data.webhook_token;
+      const accountToken = await this.getWebhookToken(sessionId);
+
+      if (!accountToken) {
+        throw new Error(`Sesión sin webhook_token: ${sessionId}`);
+      }
 
-      // 📦 Preparar FormData
-      const form = new FormData();
+      // 📦 Preparar FormData (firmado por campo, ver webhookSigner)
+      const form = new SignedFormData();
       form.append("from", fromClean);
       form.append("text", messageData.text);
       form.append("type", messageData.type);
@@ -304,25 +816,39 @@ class MessageReceiver {
       form.append("timestamp", msg.messageTimestamp);
       form.append("pushName", pushName);
 
-      // 📎 Adjuntar archivo si existe
-      if (messageData.filename && fs.existsSync(messageData.filename)) {
-        form.append("audio", fs.createReadStream(messageData.filename));
+      for (const [field, value] of Object.entries(messageData.fields || {})) {
+        if (value !== null && value !== undefined) {
+          form.append(field, String(value));
+        }
+      }
+
+      // 📎 Adjuntar archivo o su URL firmada
+      if (messageData.mediaKey) {
+        await this.appendMedia(form, messageData);
       }
 
       this.logger.debug("📦 Datos preparados para Laravel", {
         from: fromClean,
         text: messageData.text?.substring(0, 50),
         type: messageData.type,
-        hasAudio: !!messageData.filename,
-        accountToken,
+        hasFile: !!messageData.mediaKey,
       });
 
-      // 🚀 Enviar a Laravel
+      // 🚀 Enviar a Laravel (el token en la URL queda en logs de proxies:
+      // con webhookTokenIn "header" viaja en X-Webhook-Token)
+      const tokenInHeader = this.webhookTokenIn === "header";
+      if (tokenInHeader) form.append("session_id", sessionId);
+
       await this.axios.post(
-        `${this.laravelApi}/whatsapp-webhook/${accountToken}`,
+        tokenInHeader
+          ? `${this.laravelApi}/whatsapp-webhook`
+          : `${this.laravelApi}/whatsapp-webhook/${accountToken}`,
         form,
         {
-          headers: form.getHeaders(),
+          headers: {
+            ...form.getHeaders(),
+            ...(tokenInHeader && { "X-Webhook-Token": accountToken }),
+          },
           maxBodyLength: Infinity,
         }
       );
@@ -330,7 +856,6 @@ class MessageReceiver {
       this.logger.info("✅ Datos enviados a Laravel webhook", {
         sessionId,
         fromClean,
-        accountToken,
         type: messageData.type,
       });
     } catch (error) {
@@ -355,41 +880,45 @@ class MessageReceiver {
   }
 
   /**
-   * 🧹 Limpia archivos de audio antiguos
-   *
-   * @param {number} maxAgeMs - Edad máxima en milisegundos (default: 1 hora)
+   * 🔑 webhook_token de la sesión (cache de cuentas si está disponible)
    */
-  cleanOldAudios(maxAgeMs = 3600 * 1000) {
-    try {
-      if (!fs.existsSync(this.audioDir)) return;
-
-      const now = Date.now();
-      const files = fs.readdirSync(this.audioDir);
-      let cleanedCount = 0;
+  async getWebhookToken(sessionId) {
+    if (this.accountCache) {
+      return await this.accountCache.getWebhookToken(sessionId);
+    }
 
-      for (const file of files) {
-        const filePath = path.join(this.audioDir, file);
+    const { data } = await this.axios.get(
+      `${this.laravelApi}/whatsapp/account/${sessionId}`
+    );
+    return data?.webhook_token || null;
+  }
 
-        try {
-          const stats = fs.statSync(filePath);
+  /**
+   * 📎 Agrega la media al webhook: media_url firmada o el archivo
+   * (audio conserva su campo histórico "audio", el resto va en "media")
+   */
+  async appendMedia(form, messageData) {
+    const signed =
+      this.mediaDelivery === "url"
+        ? await this.storage.getSignedUrl(messageData.mediaKey)
+        : null;
+
+    if (signed) {
+      form.append("media_url", signed.url);
+      form.append(
+        "media_url_expires_at",
+        new Date(signed.expiresAt).toISOString()
+      );
+      return;
+    }
 
-          if (now - stats.mtimeMs > maxAgeMs) {
-            fs.unlinkSync(filePath);
-            cleanedCount++;
-          }
-        } catch (err) {
-          this.logger.error("❌ Error eliminando audio", err, { file });
-        }
-      }
+    const buffer = await this.storage.read(messageData.mediaKey);
+    const fileField = messageData.type === "audio" ? "audio" : "media";
 
-      if (cleanedCount > 0) {
-        this.logger.info("🧹 Archivos de audio antiguos eliminados", {
-          count: cleanedCount,
-        });
-      }
-    } catch (error) {
-      this.logger.error("❌ Error en limpieza de audios", error);
-    }
+    form.append(fileField, buffer, {
+      filename: path.posix.basename(messageData.mediaKey),
+      contentType: messageData.fields?.media_mimetype || undefined,
+    });
   }
 }
 
@@ -0,0 +1,142 @@
+// src/services/session-settings.service.js
+
+/**
+ * ⚙️ Configuración por Sesión
+ *
+ * Opciones que cada cliente ajusta para su número sin redeploy
+ * (límites de envío, pacing, auto-lectura, etc.). Se guardan en Redis como JSON y se
+ * combinan sobre los defaults de config.js, sección por sección.
+ */
+
+const { AppError } = require("../middleware/error-handler");
+
+const ENUMS = {
+  "rateLimit.mode": ["queue", "reject"],
+};
+
+class SessionSettings {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {object} logger
+   * @param {object} defaults - { [seccion]: { [opcion]: valor } }
+   */
+  constructor(redis, logger, defaults = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.defaults = defaults;
+  }
+
+  keys = {
+    settings: (sessionId) => `settings:${sessionId}`,
+  };
+
+  /**
+   * 📖 Configuración efectiva de una sesión (defaults + overrides)
+   */
+  async get(sessionId) {
+    let overrides = {};
+
+    try {
+      const raw = await this.redis.get(this.keys.settings(sessionId));
+      overrides = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      this.logger.warn("⚠️ No se pudo leer la configuración de la sesión", {
+        sessionId,
+        error: error.message,
+      });
+    }
+
+    return this.merge(this.defaults, overrides);
+  }
+
+  /**
+   * ✏️ Actualiza opciones de una sesión (merge parcial)
+   *
+   * @throws {AppError} 400 si alguna opción no existe o tiene tipo inválido
+   */
+  async update(sessionId, patch) {
+    this.validate(patch);
+
+    const key = this.keys.settings(sessionId);
+    const raw = await this.redis.get(key);
+    const overrides = this.merge(raw ? JSON.parse(raw) : {}, patch);
+
+    await this.redis.set(key, JSON.stringify(overrides));
+
+    this.logger.info("⚙️ Configuración de sesión actualizada", {
+      sessionId,
+      sections: Object.keys(patch),
+    });
+
+    return this.merge(this.defaults, overrides);
+  }
+
+  /**
+   * ♻️ Vuelve a los defaults
+   */
+  async reset(sessionId) {
+    await this.redis.del(this.keys.settings(sessionId));
+    return this.merge(this.defaults, {});
+  }
+
+  /**
+   * ✅ Valida un patch contra la forma de los defaults
+   */
+  validate(patch) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+      throw new AppError("La configuración debe ser un objeto", 400);
+    }
+
+    const errors = [];
+
+    for (const [section, values] of Object.entries(patch)) {
+      const sectionDefaults = this.defaults[section];
+
+      if (!sectionDefaults) {
+        errors.push(`${section}: sección desconocida`);
+        continue;
+      }
+
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        errors.push(`${section}: debe ser un objeto`);
+        continue;
+      }
+
+      for (const [option, value] of Object.entries(values)) {
+        const path = `${section}.${option}`;
+
+        if (!(option in sectionDefaults)) {
+          errors.push(`${path}: opción desconocida`);
+        } else if (ENUMS[path] && !ENUMS[path].includes(value)) {
+          errors.push(`${path}: debe ser uno de ${ENUMS[path].join(", ")}`);
+        } else if (typeof value !== typeof sectionDefaults[option]) {
+          errors.push(`${path}: debe ser ${typeof sectionDefaults[option]}`);
+        } else if (typeof value === "number" && value < 0) {
+          errors.push(`${path}: no puede ser negativo`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError("Configuración inválida", 400, errors);
+    }
+  }
+
+  /**
+   * 🔀 Merge de un nivel (por sección)
+   */
+  merge(base, overrides) {
+    const result = {};
+
+    for (const section of new Set([
+      ...Object.keys(base),
+      ...Object.keys(overrides),
+    ])) {
+      result[section] = { ...base[section], ...overrides[section] };
+    }
+
+    return result;
+  }
+}
+
+module.exports = SessionSettings;
@@ -0,0 +1,228 @@
+// src/services/transcoder.service.js
+
+/**
+ * 🎚️ Transcodificación de Audio (ffmpeg)
+ *
+ * - Saliente: cualquier audio → OGG/Opus mono para enviarlo como nota de voz
+ *   (ptt) con duración y waveform, como los graba WhatsApp
+ * - Entrante: Opus → MP3/WAV para proveedores de speech-to-text que no
+ *   aceptan Opus
+ */
+
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough, Readable } = require("stream");
+
+const WAVEFORM_SAMPLES = 64; // WhatsApp dibuja 64 barras (0-100)
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Una URL de audio solo puede leerse por red (nunca file:, concat:, etc.)
+const REMOTE_INPUT_OPTIONS = ["-protocol_whitelist http,https,tcp,tls"];
+
+const INBOUND_FORMATS = {
+  mp3: { codec: "libmp3lame", format: "mp3", mimetype: "audio/mpeg" },
+  wav: { codec: "pcm_s16le", format: "wav", mimetype: "audio/wav" },
+};
+
+class AudioTranscoder {
+  /**
+   * @param {object} logger
+   * @param {object} options
+   * @param {string} [options.ffmpegPath] - Default: ffmpeg del PATH
+   * @param {string} [options.ffprobePath]
+   * @param {number} [options.timeoutMs]
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.timeoutSeconds = Math.ceil((options.timeoutMs || 15000) / 1000);
+
+    if (options.ffmpegPath) ffmpeg.setFfmpegPath(options.ffmpegPath);
+    if (options.ffprobePath) ffmpeg.setFfprobePath(options.ffprobePath);
+  }
+
+  /**
+   * 🎙️ Convierte un audio (URL o Buffer) en nota de voz OGG/Opus
+   *
+   * @param {string|Buffer} input
+   * @returns {Promise<{ buffer: Buffer, mimetype: string, seconds: number, waveform: Uint8Array }>}
+   */
+  async toVoiceNote(input) {
+    const outputPath = this.tempPath("ogg");
+    const command = this.command(input);
+
+    if (!Buffer.isBuffer(input)) command.inputOptions(REMOTE_INPUT_OPTIONS);
+
+    try {
+      await this.run(
+        command
+          .noVideo()
+          .audioCodec("libopus")
+          .audioChannels(1)
+          .audioFrequency(48000)
+          .audioBitrate("32k")
+          .outputOptions(["-application voip"])
+          .format("ogg")
+          .save(outputPath)
+      );
+
+      const buffer = await fs.promises.readFile(outputPath);
+      const [seconds, waveform] = await Promise.all([
+        this.probeDuration(outputPath),
+        this.computeWaveform(outputPath),
+      ]);
+
+      this.logger.info("🎙️ Audio convertido a nota de voz", {
+        size: buffer.length,
+        seconds,
+      });
+
+      return {
+        buffer,
+        mimetype: "audio/ogg; codecs=opus",
+        seconds,
+        waveform,
+      };
+    } finally {
+      fs.promises.rm(outputPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * 🔁 Convierte un audio entrante a mp3 o wav
+   *
+   * @param {Buffer} buffer
+   * @param {"mp3"|"wav"} format
+   * @returns {Promise<{ buffer: Buffer, mimetype: string, extension: string }>}
+   */
+  async transcodeInbound(buffer, format) {
+    const target = INBOUND_FORMATS[format];
+
+    if (!target) {
+      throw new Error(`Formato de audio no soportado: ${format}`);
+    }
+
+    // A archivo (no a pipe) para que el header WAV lleve el tamaño real
+    const outputPath = this.tempPath(format);
+
+    try {
+      await this.run(
+        this.command(buffer)
+          .noVideo()
+          .audioCodec(target.codec)
+          .format(target.format)
+          .save(outputPath)
+      );
+
+      return {
+        buffer: await fs.promises.readFile(outputPath),
+        mimetype: target.mimetype,
+        extension: format,
+      };
+    } finally {
+      fs.promises.rm(outputPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * ⏱️ Duración en segundos (redondeada, como seconds de Baileys)
+   */
+  async probeDuration(filePath) {
+    return await new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (error, metadata) => {
+        if (error) {
+          this.logger.warn("⚠️ No se pudo obtener la duración del audio", {
+            error: error.message,
+          });
+          return resolve(0);
+        }
+
+        resolve(Math.round(Number(metadata.format?.duration) || 0));
+      });
+    });
+  }
+
+  /**
+   * 📊 Waveform de 64 valores (0-100) a partir del PCM del audio
+   */
+  async computeWaveform(filePath) {
+    const pcm = await this.collect(
+      this.command(filePath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(WAVEFORM_SAMPLE_RATE)
+        .format("s16le")
+    );
+
+    const samples = Math.floor(pcm.length / 2);
+    const blockSize = Math.max(1, Math.floor(samples / WAVEFORM_SAMPLES));
+    const levels = [];
+
+    for (let block = 0; block < WAVEFORM_SAMPLES; block++) {
+      let sum = 0;
+      let count = 0;
+
+      for (let i = block * blockSize; i < (block + 1) * blockSize; i++) {
+        if (i >= samples) break;
+        sum += Math.abs(pcm.readInt16LE(i * 2));
+        count++;
+      }
+
+      levels.push(count > 0 ? sum / count : 0);
+    }
+
+    const peak = Math.max(...levels, 1);
+    return Uint8Array.from(levels.map((level) => (level / peak) * 100));
+  }
+
+  command(input) {
+    return ffmpeg(Buffer.isBuffer(input) ? Readable.from(input) : input);
+  }
+
+  tempPath(extension) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    return path.join(os.tmpdir(), `transcode-${id}.${extension}`);
+  }
+
+  /**
+   * ▶️ Ejecuta un comando que escribe a archivo
+   */
+  async run(command) {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        command.kill("SIGKILL");
+        reject(new Error("Timeout de ffmpeg superado"));
+      }, this.timeoutSeconds * 1000);
+
+      command
+        .on("end", () => {
+          clearTimeout(timer);
+          resolve();
+        })
+        .on("error", (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * 📥 Ejecuta un comando y junta su salida en un Buffer
+   */
+  async collect(command) {
+    const output = new PassThrough();
+    const chunks = [];
+
+    output.on("data", (chunk) => chunks.push(chunk));
+
+    const done = this.run(command);
+    command.pipe(output, { end: true });
+    await done;
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = AudioTranscoder;
+module.exports.INBOUND_FORMATS = INBOUND_FORMATS;
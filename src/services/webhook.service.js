@@ -0,0 +1,563 @@
+// src/services/webhook.service.js
+
+/**
+ * 🪝 Módulo de Webhooks por Sesión
+ *
+ * Además de Laravel, cada sesión puede mandar sus eventos a endpoints propios
+ * (CRM, analytics...):
+ * - Suscripciones en Redis: URL, filtro de eventos, headers y formato
+ * - Escucha el bus de eventos y encola una entrega por endpoint en Bull
+ * - Reintentos con backoff según la política de cada endpoint
+ * - Circuit breaker por endpoint: uno caído no frena a los demás
+ * - Firma X-Signature / X-Timestamp con el secreto de cada endpoint
+ *
+ * Formatos: "json" ({ event, session_id, timestamp, data }) o "multipart"
+ * (los mismos campos que el webhook de mensajes de Laravel).
+ */
+
+const crypto = require("crypto");
+const { AppError } = require("../middleware/error-handler");
+const { CircuitBreaker } = require("./queue.service");
+const { toNumber } = require("../utils/helpers");
+const { SignedFormData, computeSignature } = require("../utils/webhookSigner");
+const { isPrivateHost } = require("../utils/privateNetwork");
+
+// Filtro de eventos → tipos del bus
+const EVENTS = {
+  messages: ["message"],
+  statuses: ["status", "qr", "pairing_code"],
+  receipts: ["receipt"],
+  lifecycle: ["lifecycle", "group"],
+};
+
+const FORMATS = ["json", "multipart"];
+
+// Los pone el servicio: no se pueden sobreescribir con headers propios
+const RESERVED_HEADERS = [
+  "host",
+  "content-type",
+  "content-length",
+  "x-timestamp",
+  "x-signature",
+  "x-webhook-id",
+  "x-webhook-event",
+];
+
+const MAX_HEADERS = 20;
+const MAX_ATTEMPTS = 10;
+
+const categoryOf = (type) =>
+  Object.keys(EVENTS).find((category) => EVENTS[category].includes(type));
+
+class WebhookService {
+  /**
+   * @param {import("ioredis").Redis} redis
+   * @param {QueueManager} queueManager
+   * @param {import("axios").AxiosInstance} axios - Propia, sin la firma de
+   *   Laravel y con publicLookup en sus agentes (ver app.js)
+   * @param {object} logger
+   * @param {object} options - config.webhooks + dependencias
+   * @param {SessionEventBus} options.eventBus
+   * @param {LocalMediaStorage|S3MediaStorage} [options.storage] - Media de
+   *   los mensajes entrantes
+   */
+  constructor(redis, queueManager, axios, logger, options = {}) {
+    this.redis = redis;
+    this.queueManager = queueManager;
+    this.axios = axios;
+    this.logger = logger;
+    this.eventBus = options.eventBus || null;
+    this.storage = options.storage || null;
+    this.allowHttp = Boolean(options.allowHttp);
+    this.allowPrivateHosts = Boolean(options.allowPrivateHosts);
+    this.maxPerSession = options.maxPerSession || 10;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.defaultRetry = { attempts: 5, backoffMs: 10000, ...options.retry };
+    this.breakerConfig = {
+      threshold: 5,
+      resetMs: 60000,
+      ...options.circuitBreaker,
+    };
+    this.breakers = new Map(); // webhookId → CircuitBreaker (por réplica)
+  }
+
+  keys = {
+    webhooks: (sessionId) => `webhooks:${sessionId}`,
+    stats: (webhookId) => `webhook:${webhookId}:stats`,
+  };
+
+  /**
+   * ⏰ Escucha el bus y registra el worker de entregas
+   */
+  start() {
+    // Solo los de esta réplica: con el bridge cada nodo encolaría lo mismo
+    this.eventBus?.subscribe(
+      null,
+      (event) =>
+        this.dispatch(event).catch((error) =>
+          this.logger.error("❌ Error encolando webhooks", error, {
+            sessionId: event.session_id,
+            type: event.type,
+          })
+        ),
+      { localOnly: true }
+    );
+
+    this.queueManager.processWebhooks((data) => this.deliver(data));
+  }
+
+  /**
+   * 📋 Webhooks de una sesión (sin secretos, con estado de entrega)
+   */
+  async list(sessionId) {
+    const webhooks = await this.getAll(sessionId);
+
+    return await Promise.all(
+      webhooks.map(async (webhook) => ({
+        ...this.toPublic(webhook),
+        delivery: await this.getStats(webhook.id),
+        circuit: this.breakers.get(webhook.id)?.getStatus() || null,
+      }))
+    );
+  }
+
+  /**
+   * ➕ Registra un endpoint (el secreto solo se devuelve aquí)
+   *
+   * @param {object} data - { url, events, headers?, format?, retry?, enabled? }
+   * @throws {AppError} 400 si es inválido, 409 si la sesión llegó al máximo
+   */
+  async create(sessionId, data = {}) {
+    const existing = await this.getAll(sessionId);
+
+    if (existing.length >= this.maxPerSession) {
+      throw new AppError(
+        `Máximo de ${this.maxPerSession} webhooks por sesión`,
+        409
+      );
+    }
+
+    const now = Date.now();
+    const webhook = {
+      id: `wh_${crypto.randomBytes(8).toString("hex")}`,
+      url: data.url,
+      events: data.events,
+      headers: data.headers || {},
+      format: data.format || "json",
+      retry: { ...this.defaultRetry, ...data.retry },
+      enabled: data.enabled ?? true,
+      secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.validate(webhook);
+    await this.save(sessionId, webhook);
+
+    this.logger.info("🪝 Webhook registrado", {
+      sessionId,
+      webhookId: webhook.id,
+      events: webhook.events,
+      format: webhook.format,
+    });
+
+    return { ...this.toPublic(webhook), secret: webhook.secret };
+  }
+
+  /**
+   * ✏️ Cambia URL, eventos, headers, formato, reintentos o enabled
+   */
+  async update(sessionId, webhookId, patch = {}) {
+    const webhook = await this.get(sessionId, webhookId);
+    if (!webhook) return null;
+
+    const updated = { ...webhook, updated_at: Date.now() };
+
+    for (const field of ["url", "events", "headers", "format", "enabled"]) {
+      if (patch[field] !== undefined) updated[field] = patch[field];
+    }
+
+    if (patch.retry !== undefined) {
+      updated.retry = { ...webhook.retry, ...patch.retry };
+    }
+
+    this.validate(updated);
+    await this.save(sessionId, updated);
+
+    // Configuración nueva → el circuito arranca de cero
+    this.breakers.delete(webhookId);
+
+    this.logger.info("🪝 Webhook actualizado", { sessionId, webhookId });
+
+    return this.toPublic(updated);
+  }
+
+  /**
+   * 🗑️ Elimina un endpoint (las entregas pendientes se descartan)
+   */
+  async remove(sessionId, webhookId) {
+    const removed = await this.redis.hdel(
+      this.keys.webhooks(sessionId),
+      webhookId
+    );
+
+    if (!removed) return false;
+
+    await this.redis.del(this.keys.stats(webhookId));
+    this.breakers.delete(webhookId);
+
+    this.logger.info("🪝 Webhook eliminado", { sessionId, webhookId });
+
+    return true;
+  }
+
+  /**
+   * 📣 Evento del bus → una entrega encolada por endpoint suscrito
+   */
+  async dispatch(event) {
+    const category = categoryOf(event.type);
+    if (!category) return;
+
+    const webhooks = await this.getAll(event.session_id);
+
+    for (const webhook of webhooks) {
+      if (!webhook.enabled || !webhook.events.includes(category)) continue;
+
+      await this.queueManager.addWebhookDelivery(
+        { sessionId: event.session_id, webhookId: webhook.id, event },
+        webhook.retry
+      );
+    }
+  }
+
+  /**
+   * 🚀 Entrega un evento (worker de Bull; si lanza, Bull reintenta)
+   */
+  async deliver({ sessionId, webhookId, event }) {
+    const webhook = await this.get(sessionId, webhookId);
+
+    if (!webhook?.enabled) {
+      return { skipped: true };
+    }
+
+    try {
+      const status = await this.breakerFor(webhookId).execute(() =>
+        this.send(webhook, event)
+      );
+
+      await this.recordResult(webhookId, { status });
+      return { status };
+    } catch (error) {
+      await this.recordResult(webhookId, {
+        status: error.response?.status || null,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 📤 POST firmado al endpoint
+   *
+   * @returns {Promise<number>} - Status HTTP (2xx; el resto lanza)
+   */
+  async send(webhook, event) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let body;
+    let content;
+    let bodyHeaders;
+
+    if (webhook.format === "multipart") {
+      body = await this.buildForm(event);
+      content = body.signatureContent();
+      bodyHeaders = body.getHeaders();
+    } else {
+      body = JSON.stringify(await this.buildJson(event));
+      content = body;
+      bodyHeaders = { "Content-Type": "application/json" };
+    }
+
+    const response = await this.axios.post(webhook.url, body, {
+      headers: {
+        ...webhook.headers,
+        ...bodyHeaders,
+        "X-Webhook-Id": webhook.id,
+        "X-Webhook-Event": event.type,
+        "X-Timestamp": timestamp,
+        "X-Signature": computeSignature(webhook.secret, timestamp, content),
+      },
+      timeout: this.timeoutMs,
+      maxBodyLength: Infinity,
+      maxRedirects: 0,
+    });
+
+    return response.status;
+  }
+
+  /**
+   * 📦 Payload JSON (la media solo viaja como media_url firmada)
+   */
+  async buildJson(event) {
+    const { mediaKey, ...data } = event.data || {};
+
+    if (event.type === "message") {
+      data.timestamp = toNumber(data.timestamp); // Long de protobuf
+    }
+
+    if (mediaKey) {
+      const signed = await this.storage?.getSignedUrl(mediaKey);
+
+      if (signed) {
+        data.media_url = signed.url;
+        data.media_url_expires_at = new Date(signed.expiresAt).toISOString();
+      }
+    }
+
+    return {
+      event: event.type,
+      session_id: event.session_id,
+      timestamp: event.timestamp,
+      data,
+    };
+  }
+
+  /**
+   * 📦 Payload multipart: mensajes con los campos del webhook de Laravel,
+   * el resto con los campos del evento (objetos como JSON)
+   */
+  async buildForm(event) {
+    const form = new SignedFormData();
+    const append = (field, value) => {
+      if (value === null || value === undefined) return;
+      form.append(
+        field,
+        typeof value === "object" ? JSON.stringify(value) : String(value)
+      );
+    };
+
+    append("event", event.type);
+    append("session_id", event.session_id);
+
+    if (event.type !== "message") {
+      append("event_timestamp", event.timestamp);
+
+      for (const [field, value] of Object.entries(event.data || {})) {
+        append(field, value);
+      }
+
+      return form;
+    }
+
+    const { fields = {}, mediaKey, ...message } = event.data;
+
+    for (const field of ["from", "text", "type", "wamId"]) {
+      append(field, message[field]);
+    }
+    append("timestamp", toNumber(message.timestamp)); // Long de protobuf
+    append("pushName", message.pushName);
+
+    for (const [field, value] of Object.entries(fields)) {
+      append(field, value);
+    }
+
+    if (mediaKey) {
+      await this.appendMedia(form, mediaKey, message.type, fields);
+    }
+
+    return form;
+  }
+
+  /**
+   * 📎 media_url firmada (S3) o el archivo, como en el webhook de Laravel
+   */
+  async appendMedia(form, mediaKey, type, fields) {
+    const signed = await this.storage?.getSignedUrl(mediaKey);
+
+    if (signed) {
+      form.append("media_url", signed.url);
+      form.append(
+        "media_url_expires_at",
+        new Date(signed.expiresAt).toISOString()
+      );
+      return;
+    }
+
+    try {
+      const buffer = await this.storage.read(mediaKey);
+
+      form.append(type === "audio" ? "audio" : "media", buffer, {
+        filename: mediaKey.split("/").pop(),
+        contentType: fields.media_mimetype || undefined,
+      });
+    } catch (error) {
+      // Reintento tardío: la retención de media ya borró el archivo
+      this.logger.warn("⚠️ Media no disponible para webhook", {
+        mediaKey,
+        error: error.message,
+      });
+      form.append("media_skipped", "unavailable");
+    }
+  }
+
+  breakerFor(webhookId) {
+    if (!this.breakers.has(webhookId)) {
+      this.breakers.set(
+        webhookId,
+        new CircuitBreaker(
+          this.breakerConfig.threshold,
+          this.breakerConfig.resetMs
+        )
+      );
+    }
+
+    return this.breakers.get(webhookId);
+  }
+
+  /**
+   * 📊 Último intento / último éxito (best effort)
+   */
+  async recordResult(webhookId, { status, error = null }) {
+    const now = Date.now();
+
+    try {
+      await this.redis.hset(this.keys.stats(webhookId), {
+        last_attempt_at: now,
+        last_status: status ?? "",
+        last_error: error || "",
+        ...(error ? { last_failure_at: now } : { last_success_at: now }),
+      });
+    } catch (redisError) {
+      this.logger.warn("⚠️ No se pudo registrar la entrega del webhook", {
+        webhookId,
+        error: redisError.message,
+      });
+    }
+  }
+
+  async getStats(webhookId) {
+    const stats = await this.redis.hgetall(this.keys.stats(webhookId));
+    const numeric = (value) => (value ? Number(value) : null);
+
+    return {
+      last_attempt_at: numeric(stats.last_attempt_at),
+      last_status: numeric(stats.last_status),
+      last_error: stats.last_error || null,
+      last_success_at: numeric(stats.last_success_at),
+      last_failure_at: numeric(stats.last_failure_at),
+    };
+  }
+
+  async get(sessionId, webhookId) {
+    const raw = await this.redis.hget(this.keys.webhooks(sessionId), webhookId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async getAll(sessionId) {
+    const entries = await this.redis.hvals(this.keys.webhooks(sessionId));
+
+    return entries
+      .map((raw) => JSON.parse(raw))
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  async save(sessionId, webhook) {
+    await this.redis.hset(
+      this.keys.webhooks(sessionId),
+      webhook.id,
+      JSON.stringify(webhook)
+    );
+  }
+
+  /**
+   * ✅ Valida un webhook completo
+   *
+   * @throws {AppError} 400
+   */
+  validate(webhook) {
+    const errors = [];
+    let url = null;
+
+    try {
+      url = new URL(webhook.url);
+    } catch {
+      errors.push("url inválida");
+    }
+
+    if (
+      url &&
+      url.protocol !== "https:" &&
+      !(this.allowHttp && url.protocol === "http:")
+    ) {
+      errors.push("url debe ser https");
+    }
+
+    if (url && !this.allowPrivateHosts && isPrivateHost(url.hostname)) {
+      errors.push("url no puede apuntar a una dirección privada o local");
+    }
+
+    if (
+      !Array.isArray(webhook.events) ||
+      webhook.events.length === 0 ||
+      webhook.events.some((event) => !EVENTS[event])
+    ) {
+      errors.push(
+        `events debe ser una lista con: ${Object.keys(EVENTS).join(", ")}`
+      );
+    }
+
+    if (!FORMATS.includes(webhook.format)) {
+      errors.push(`format debe ser uno de ${FORMATS.join(", ")}`);
+    }
+
+    const { headers } = webhook;
+
+    if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+      errors.push("headers debe ser un objeto");
+    } else {
+      const names = Object.keys(headers);
+
+      if (names.length > MAX_HEADERS) {
+        errors.push(`headers admite hasta ${MAX_HEADERS} entradas`);
+      }
+
+      for (const name of names) {
+        if (!/^[A-Za-z0-9-]+$/.test(name)) {
+          errors.push(`header inválido: ${name}`);
+        } else if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+          errors.push(`header reservado: ${name}`);
+        } else if (typeof headers[name] !== "string") {
+          errors.push(`header ${name}: el valor debe ser texto`);
+        }
+      }
+    }
+
+    const { attempts, backoffMs } = webhook.retry || {};
+
+    if (
+      !Number.isInteger(attempts) ||
+      attempts < 1 ||
+      attempts > MAX_ATTEMPTS
+    ) {
+      errors.push(`retry.attempts debe estar entre 1 y ${MAX_ATTEMPTS}`);
+    }
+
+    if (!Number.isInteger(backoffMs) || backoffMs < 0) {
+      errors.push("retry.backoffMs debe ser un entero >= 0");
+    }
+
+    if (typeof webhook.enabled !== "boolean") {
+      errors.push("enabled debe ser boolean");
+    }
+
+    if (errors.length > 0) {
+      throw new AppError("Webhook inválido", 400, errors);
+    }
+  }
+
+  toPublic({ secret, ...webhook }) {
+    return webhook;
+  }
+}
+
+module.exports = WebhookService;
+module.exports.EVENTS = EVENTS;
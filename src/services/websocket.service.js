@@ -0,0 +1,169 @@
+/**
+ * 🔌 Gateway WebSocket de eventos de sesión
+ *
+ * Expone el SessionEventBus por WebSocket:
+ *   ws://host:4000/ws?session_id=<id>&replay=20
+ *
+ * Credenciales (si config.auth está activo): ?api_key= o Authorization,
+ * con scope events:read.
+ *
+ * Mensajes del cliente:
+ *   { "action": "subscribe", "session_id": "...", "replay": 20 }
+ *   { "action": "unsubscribe", "session_id": "..." }
+ */
+
+const { WebSocketServer, WebSocket } = require("ws");
+const { hasScope } = require("../middleware/auth");
+
+class WebSocketGateway {
+  constructor(eventBus, logger, options = {}) {
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.path = options.path || "/ws";
+    this.heartbeatMs = options.heartbeatMs || 25000;
+    this.replayLimit = options.replayLimit || 50;
+    this.authenticate = options.authenticate || null; // (req) => Promise<auth>
+
+    this.wss = null;
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * 🔗 Monta el servidor WebSocket sobre el servidor HTTP de Express
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      verifyClient: (info, done) => this.verifyClient(info.req, done),
+    });
+
+    this.wss.on("connection", (ws, req) => this.handleConnection(ws, req));
+
+    // Cerrar clientes que no responden al ping
+    this.heartbeatInterval = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.heartbeatMs);
+
+    this.logger.info("🔌 WebSocket gateway iniciado", { path: this.path });
+  }
+
+  /**
+   * 🔐 Autentica el upgrade antes de aceptar la conexión
+   */
+  verifyClient(req, done) {
+    if (!this.authenticate) return done(true);
+
+    this.authenticate(req)
+      .then((auth) =>
+        hasScope(auth, "events:read")
+          ? done(true)
+          : done(false, 403, "Falta el scope events:read")
+      )
+      .catch((err) => {
+        this.logger.warn("🔐 Conexión WebSocket rechazada", {
+          reason: err.message,
+        });
+        done(false, err.statusCode || 401, err.message);
+      });
+  }
+
+  /**
+   * 🤝 Maneja una nueva conexión
+   */
+  handleConnection(ws, req) {
+    const url = new URL(req.url, "http://localhost");
+    const subscriptions = new Map(); // sessionId → unsubscribe
+
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    const subscribe = async (sessionId, replay) => {
+      if (!sessionId || subscriptions.has(sessionId)) return;
+
+      // Lo que llegue durante el replay se envía después, sin repetir
+      const { unsubscribe, ready } = this.eventBus.subscribeWithReplay(
+        sessionId,
+        this.parseReplay(replay),
+        (event) => this.send(ws, event)
+      );
+      subscriptions.set(sessionId, unsubscribe);
+
+      this.send(ws, { type: "subscribed", session_id: sessionId });
+
+      await ready;
+    };
+
+    const unsubscribe = (sessionId) => {
+      const off = subscriptions.get(sessionId);
+      if (off) {
+        off();
+        subscriptions.delete(sessionId);
+      }
+    };
+
+    ws.on("message", async (raw) => {
+      try {
+        const message = JSON.parse(raw.toString());
+
+        if (message.action === "subscribe") {
+          await subscribe(message.session_id, message.replay);
+        } else if (message.action === "unsubscribe") {
+          unsubscribe(message.session_id);
+        }
+      } catch (err) {
+        this.send(ws, { type: "error", error: "INVALID_MESSAGE" });
+      }
+    });
+
+    ws.on("close", () => {
+      subscriptions.forEach((off) => off());
+      subscriptions.clear();
+    });
+
+    subscribe(
+      url.searchParams.get("session_id"),
+      url.searchParams.get("replay")
+    ).catch((err) => {
+      this.logger.error("❌ Error suscribiendo cliente WebSocket", err);
+    });
+  }
+
+  parseReplay(replay) {
+    if (replay === undefined || replay === null || replay === false) return 0;
+    if (replay === true || replay === "true") return this.replayLimit;
+
+    const count = parseInt(replay, 10);
+    if (!count || count < 0) return 0;
+    return Math.min(count, this.replayLimit);
+  }
+
+  send(ws, event) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(event));
+    }
+  }
+
+  /**
+   * 🛑 Cierra el gateway y todos los clientes
+   */
+  close() {
+    if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+
+    if (this.wss) {
+      this.wss.clients.forEach((ws) => ws.close(1001, "server shutdown"));
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = WebSocketGateway;
@@ -0,0 +1,313 @@
+// src/services/whatsapp/auth-state.store.js
+
+/**
+ * 🔐 Almacenamiento de credenciales Baileys
+ *
+ * Responsabilidad:
+ * - Cargar / guardar creds y llaves signal por sesión
+ * - FileAuthStore: carpetas auth/<sessionId> (default)
+ * - RedisAuthStore: creds + llaves en Redis (sobrevive al reschedule del pod)
+ * - Migrar una sola vez las carpetas existentes a Redis
+ */
+
+const {
+  useMultiFileAuthState,
+  initAuthCreds,
+  BufferJSON,
+  proto,
+} = require("@whiskeysockets/baileys");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Mismo nombre que usa useMultiFileAuthState para cada llave
+ * (así la migración copia archivo → campo sin transformar ids)
+ */
+const fixFileName = (file) => file?.replace(/\//g, "__")?.replace(/:/g, "-");
+
+// Carpetas auth/<sessionId> ya copiadas a Redis
+const MIGRATED_SUFFIX = ".migrated";
+
+/**
+ * ✅ ioredis no rechaza exec() si falla un comando: el error queda en
+ * [err, result] de cada entrada
+ */
+const assertExecOk = (results, what) => {
+  const failed = (results || []).find(([error]) => error);
+
+  if (failed) {
+    throw new Error(`Error escribiendo ${what} en Redis: ${failed[0].message}`);
+  }
+};
+
+/**
+ * 📁 Credenciales en disco (comportamiento original)
+ */
+class FileAuthStore {
+  constructor(authDir, logger) {
+    this.authDir = authDir;
+    this.logger = logger;
+    this.driver = "file";
+  }
+
+  /**
+   * 📥 Carga el auth state de una sesión
+   * @returns {Promise<{ state: object, saveCreds: Function }>}
+   */
+  async load(sessionId) {
+    const sessionDir = path.join(this.authDir, sessionId);
+
+    if (!fs.existsSync(sessionDir)) {
+      this.logger.info("📁 Creando directorio de sesión", { sessionDir });
+      fs.mkdirSync(sessionDir, { recursive: true });
+    }
+
+    return await useMultiFileAuthState(sessionDir);
+  }
+
+  async exists(sessionId) {
+    return fs.existsSync(path.join(this.authDir, sessionId, "creds.json"));
+  }
+
+  /**
+   * 🧹 Elimina las credenciales de una sesión
+   */
+  async remove(sessionId) {
+    const sessionDir = path.join(this.authDir, sessionId);
+
+    if (fs.existsSync(sessionDir)) {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+      this.logger.info("🗑️ Directorio de auth eliminado", { sessionDir });
+    }
+  }
+}
+
+/**
+ * 🧠 Credenciales en Redis
+ *
+ * Claves:
+ * - auth:<sessionId>:creds → JSON de AuthenticationCreds
+ * - auth:<sessionId>:keys  → hash `<type>-<id>` → JSON de la llave
+ */
+class RedisAuthStore {
+  /**
+   * @param {Redis} redis
+   * @param {object} logger
+   * @param {string|null} authDir - Carpeta de FileAuthStore (migración y
+   *   respaldos que hay que borrar junto con la sesión)
+   */
+  constructor(redis, logger, authDir = null) {
+    this.redis = redis;
+    this.logger = logger;
+    this.authDir = authDir;
+    this.driver = "redis";
+  }
+
+  keys = {
+    creds: (sessionId) => `auth:${sessionId}:creds`,
+    signal: (sessionId) => `auth:${sessionId}:keys`,
+  };
+
+  /**
+   * 📥 Carga el auth state de una sesión
+   * @returns {Promise<{ state: object, saveCreds: Function }>}
+   */
+  async load(sessionId) {
+    const credsKey = this.keys.creds(sessionId);
+    const signalKey = this.keys.signal(sessionId);
+
+    const rawCreds = await this.redis.get(credsKey);
+    const creds = rawCreds
+      ? JSON.parse(rawCreds, BufferJSON.reviver)
+      : initAuthCreds();
+
+    const state = {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          if (!ids.length) return data;
+
+          const values = await this.redis.hmget(
+            signalKey,
+            ...ids.map((id) => fixFileName(`${type}-${id}`))
+          );
+
+          ids.forEach((id, index) => {
+            let value = values[index]
+              ? JSON.parse(values[index], BufferJSON.reviver)
+              : null;
+
+            if (type === "app-state-sync-key" && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+
+            data[id] = value;
+          });
+
+          return data;
+        },
+
+        set: async (data) => {
+          const pipeline = this.redis.pipeline();
+
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const field = fixFileName(`${category}-${id}`);
+
+              if (value) {
+                pipeline.hset(
+                  signalKey,
+                  field,
+                  JSON.stringify(value, BufferJSON.replacer)
+                );
+              } else {
+                pipeline.hdel(signalKey, field);
+              }
+            }
+          }
+
+          assertExecOk(await pipeline.exec(), "llaves signal");
+        },
+      },
+    };
+
+    const saveCreds = async () => {
+      await this.redis.set(
+        credsKey,
+        JSON.stringify(state.creds, BufferJSON.replacer)
+      );
+    };
+
+    return { state, saveCreds };
+  }
+
+  async exists(sessionId) {
+    return (await this.redis.exists(this.keys.creds(sessionId))) === 1;
+  }
+
+  /**
+   * 🧹 Elimina las credenciales de una sesión
+   */
+  async remove(sessionId) {
+    await this.redis.del(
+      this.keys.creds(sessionId),
+      this.keys.signal(sessionId)
+    );
+    this.logger.info("🗑️ Auth de Redis eliminado", { sessionId });
+
+    // Sin la carpeta de disco, una migración posterior no puede revivirla
+    if (this.authDir) {
+      for (const dir of [sessionId, `${sessionId}${MIGRATED_SUFFIX}`]) {
+        const sessionDir = path.join(this.authDir, dir);
+        if (!fs.existsSync(sessionDir)) continue;
+
+        fs.rmSync(sessionDir, { recursive: true, force: true });
+        this.logger.info("🗑️ Directorio de auth eliminado", { sessionDir });
+      }
+    }
+  }
+
+  /**
+   * 🚚 Migra carpetas auth/<sessionId> existentes a Redis
+   *
+   * Una sola vez por carpeta: al migrarla (o si Redis ya tenía la sesión)
+   * se renombra a auth/<sessionId>.migrated, que queda de respaldo y no se
+   * vuelve a leer. Así una sesión eliminada no reaparece al reiniciar.
+   *
+   * @param {string} authDir - Carpeta raíz de FileAuthStore
+   * @returns {Promise<{ migrated: string[], skipped: string[] }>}
+   */
+  async migrateFromDirectory(authDir) {
+    const result = { migrated: [], skipped: [] };
+
+    if (!fs.existsSync(authDir)) return result;
+
+    const sessionIds = fs
+      .readdirSync(authDir, { withFileTypes: true })
+      .filter(
+        (entry) => entry.isDirectory() && !entry.name.endsWith(MIGRATED_SUFFIX)
+      )
+      .map((entry) => entry.name);
+
+    for (const sessionId of sessionIds) {
+      const sessionDir = path.join(authDir, sessionId);
+      const credsFile = path.join(sessionDir, "creds.json");
+
+      try {
+        if (!fs.existsSync(credsFile)) {
+          result.skipped.push(sessionId);
+          continue;
+        }
+
+        if (await this.exists(sessionId)) {
+          this.markMigrated(sessionDir);
+          result.skipped.push(sessionId);
+          continue;
+        }
+
+        // multi: todo o nada (un hset perdido dejaría la sesión a medias)
+        const pipeline = this.redis.multi();
+        const signalKey = this.keys.signal(sessionId);
+
+        for (const file of fs.readdirSync(sessionDir)) {
+          const filePath = path.join(sessionDir, file);
+          if (!file.endsWith(".json") || file === "creds.json") continue;
+          if (!fs.statSync(filePath).isFile()) continue;
+
+          pipeline.hset(
+            signalKey,
+            file.replace(/\.json$/, ""),
+            fs.readFileSync(filePath, "utf8")
+          );
+        }
+
+        // creds al final: marca la sesión como migrada
+        pipeline.set(
+          this.keys.creds(sessionId),
+          fs.readFileSync(credsFile, "utf8")
+        );
+
+        assertExecOk(await pipeline.exec(), "migración");
+        this.markMigrated(sessionDir);
+        result.migrated.push(sessionId);
+
+        this.logger.info("🚚 Auth migrado de disco a Redis", { sessionId });
+      } catch (error) {
+        this.logger.error("❌ Error migrando auth a Redis", error, {
+          sessionId,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 🏷️ Aparta una carpeta ya migrada (reemplaza un respaldo anterior)
+   */
+  markMigrated(sessionDir) {
+    const target = `${sessionDir}${MIGRATED_SUFFIX}`;
+
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.renameSync(sessionDir, target);
+  }
+}
+
+/**
+ * 🏭 Crea el store configurado (file por defecto)
+ */
+function createAuthStore(config = {}, { authDir, redis, logger }) {
+  if (config.driver === "redis") {
+    return new RedisAuthStore(redis, logger, authDir);
+  }
+
+  return new FileAuthStore(authDir, logger);
+}
+
+module.exports = {
+  FileAuthStore,
+  RedisAuthStore,
+  createAuthStore,
+};
@@ -20,7 +20,8 @@ class ConnectionManager {
     axios,
     laravelApi,
     logger,
-    config = {}
+    config = {},
+    accountCache
   ) {
     this.stateManager = stateManager;
     this.qrManager = qrManager;
@@ -29,6 +30,7 @@ class ConnectionManager {
     this.laravelApi = laravelApi;
     this.logger = logger;
     this.config = config;
+    this.accountCache = accountCache;
 
     // Tokens de webhook por sesión
     this.tokens = {}; // sessionId → webhook_token
@@ -52,6 +54,7 @@ class ConnectionManager {
     this.logger.info("✅ Sesión abierta", { sessionId });
 
     this.qrManager.clearQrState(sessionId);
+    this.qrManager.clearPairing(sessionId);
 
     await this.stateManager.updateSessionStatus(sessionId, "active", "high");
     await this.stateManager.recordTransition(sessionId, "session_open", {});
@@ -138,6 +141,14 @@ class ConnectionManager {
   }
 
   startReconnectWorker(sessionId, userId, context = {}) {
+    // Solo el nodo dueño del lease reconecta
+    if (!this.sessionManager.isLocalSession(sessionId)) {
+      this.logger.warn("⏭️ Reconexión omitida: sesión de otro nodo", {
+        sessionId,
+      });
+      return;
+    }
+
     let session = this.sessionManager.getSession(sessionId);
     if (!session) {
       session = this.sessionManager.initializeSession(sessionId);
@@ -186,6 +197,15 @@ class ConnectionManager {
     let resilienceStartedAt = null;
 
     while (session.reconnecting) {
+      if (!this.sessionManager.isLocalSession(sessionId)) {
+        await this.stateManager.recordTransition(
+          sessionId,
+          "reconnect_aborted_lease_lost",
+          { attempt: session.reconnectAttempts }
+        );
+        return;
+      }
+
       const aborting = await this.abortReconnectIfActive(sessionId);
       if (aborting) {
         await this.stateManager.recordTransition(
@@ -448,23 +468,19 @@ class ConnectionManager {
   }
 
   /**
-   * 🔑 Obtiene webhook_token desde Laravel
+   * 🔑 Obtiene webhook_token (cache de cuentas o Laravel)
    */
   async fetchWebhookToken(sessionId) {
     if (!sessionId) return null;
 
     try {
-      const { data } = await this.axios.get(
-        `${this.laravelApi}/whatsapp/account/${sessionId}`
-      );
+      const token = await this.accountCache.getWebhookToken(sessionId);
 
-      if (data?.webhook_token) {
-        this.tokens[sessionId] = data.webhook_token;
-        return data.webhook_token;
+      if (token) {
+        this.tokens[sessionId] = token;
       }
 
-      this.logger.warn("⚠️ Cuenta sin webhook_token en Laravel", { sessionId });
-      return null;
+      return token;
     } catch (error) {
       this.logger.error(
         "❌ Error obteniendo webhook_token desde Laravel",
@@ -476,12 +492,18 @@ class ConnectionManager {
   }
 
   /**
-   * 🔑 Registra webhook_token
+   * 🔑 Registra webhook_token (y reemplaza el del cache de cuentas)
    */
   setWebhookToken(sessionId, webhookToken) {
-    if (webhookToken) {
-      this.tokens[sessionId] = webhookToken;
-    }
+    if (!webhookToken) return;
+
+    this.tokens[sessionId] = webhookToken;
+    this.accountCache.setWebhookToken(sessionId, webhookToken).catch((error) =>
+      this.logger.warn("⚠️ No se pudo cachear webhook_token", {
+        sessionId,
+        error: error.message,
+      })
+    );
   }
 }
 
@@ -9,10 +9,17 @@
 
 const path = require("path");
 const SocketFactory = require("./socket.factory");
+const { createAuthStore } = require("./auth-state.store");
 const StateManager = require("./state.manager");
 const QRManager = require("./qr.manager");
 const ConnectionManager = require("./connection.manager");
 const SessionManager = require("./session.manager");
+const OwnershipManager = require("./ownership.manager");
+const SessionSettings = require("../session-settings.service");
+const MessageStore = require("../message-store.service");
+const ReceiptTracker = require("../receipt.service");
+const GroupService = require("../group.service");
+const AccountMetadataCache = require("../account-cache.service");
 
 class WhatsAppService {
   /**
@@ -22,6 +29,8 @@ class WhatsAppService {
    * @param {QueueManager} queueManager
    * @param {CacheManager} cacheManager
    * @param {BatchQueueManager} batchQueueManager
+   * @param {object} config
+   * @param {SessionEventBus} eventBus
    */
   constructor(
     axios,
@@ -30,7 +39,8 @@ class WhatsAppService {
     queueManager,
     cacheManager,
     batchQueueManager,
-    config = {}
+    config = {},
+    eventBus = null
   ) {
     this.axios = axios;
     this.laravelApi = laravelApi;
@@ -39,17 +49,69 @@ class WhatsAppService {
     this.cacheManager = cacheManager;
     this.batchQueueManager = batchQueueManager;
     this.config = config;
+    this.eventBus = eventBus;
 
-    const authDir = path.join(__dirname, "..", "..", "auth");
+    this.authDir = path.join(__dirname, "..", "..", "auth");
+
+    // 🔐 Store de credenciales (disco o Redis)
+    this.authStore = createAuthStore(config.authStore, {
+      authDir: this.authDir,
+      redis: cacheManager.redis,
+      logger,
+    });
+
+    // 🏷️ Lease de sesiones entre réplicas
+    this.ownershipManager = new OwnershipManager(
+      cacheManager.redis,
+      logger,
+      config
+    );
+
+    // ⚙️ Configuración ajustable por sesión
+    this.settings = new SessionSettings(cacheManager.redis, logger, {
+      rateLimit: config.rateLimit || {},
+      receiver: config.receiver || {},
+      groups: config.groups || {},
+    });
+
+    // 🗃️ Mensajes recientes (citas / getMessage)
+    this.messageStore = new MessageStore(
+      cacheManager.redis,
+      logger,
+      config.messageStore
+    );
+
+    // 📬 Estado de entrega de los mensajes enviados
+    this.receiptTracker = new ReceiptTracker(
+      cacheManager.redis,
+      batchQueueManager,
+      logger,
+      config.receipts,
+      eventBus
+    );
+
+    // 🗂️ Cuenta de Laravel por sesión (webhook_token)
+    this.accountCache = new AccountMetadataCache(
+      axios,
+      laravelApi,
+      cacheManager,
+      logger,
+      config.accountCache
+    );
 
     // 🏗️ Inicializar managers
-    this.socketFactory = new SocketFactory(authDir, logger);
+    this.socketFactory = new SocketFactory(
+      this.authStore,
+      logger,
+      this.messageStore
+    );
 
     this.stateManager = new StateManager(
       cacheManager,
       batchQueueManager,
       logger,
-      config
+      config,
+      eventBus
     );
 
     this.qrManager = new QRManager(
@@ -66,7 +128,8 @@ class WhatsAppService {
       axios,
       laravelApi,
       logger,
-      config
+      config,
+      this.accountCache
     );
 
     this.sessionManager = new SessionManager(
@@ -78,14 +141,28 @@ class WhatsAppService {
       laravelApi,
       logger,
       this.stateManager,
-      config
+      config,
+      this.ownershipManager,
+      this.receiptTracker
     );
 
     // Resolver dependencia circular
     this.connectionManager.sessionManager = this.sessionManager;
+    this.ownershipManager.onLeaseLost = (sessionId) =>
+      this.sessionManager.relinquishSession(sessionId);
 
     // Exponer sessions para compatibilidad con controllers
     this.sessions = this.sessionManager.sessions;
+
+    // 👥 Administración de grupos (y eventos de participantes)
+    this.groupService = new GroupService(
+      this.sessions,
+      this.settings,
+      batchQueueManager,
+      logger,
+      eventBus
+    );
+    this.sessionManager.groupService = this.groupService;
   }
 
   // ==========================================
@@ -95,14 +172,22 @@ class WhatsAppService {
   /**
    * 🚀 Inicia una sesión de WhatsApp
    */
-  async startSession(sessionId, userId, webhookToken) {
+  async startSession(sessionId, userId, webhookToken, options = {}) {
     return await this.sessionManager.startSession(
       sessionId,
       userId,
-      webhookToken
+      webhookToken,
+      options
     );
   }
 
+  /**
+   * 🔢 Espera el pairing code de una sesión iniciada con número
+   */
+  async waitForPairingCode(sessionId, timeoutMs) {
+    return await this.qrManager.waitForPairingCode(sessionId, timeoutMs);
+  }
+
   /**
    * 🔄 Restaura sesiones activas desde Laravel
    */
@@ -110,6 +195,34 @@ class WhatsAppService {
     return await this.sessionManager.restoreSessions();
   }
 
+  /**
+   * 🧽 Borra credenciales para vincular la sesión desde cero
+   */
+  async resetAuth(sessionId) {
+    return await this.socketFactory.removeAuth(sessionId);
+  }
+
+  /**
+   * 🚚 Migra una sola vez las carpetas auth/<sessionId> al store de Redis
+   */
+  async migrateAuthState() {
+    if (
+      this.authStore.driver !== "redis" ||
+      !this.config.authStore?.migrateFromFiles
+    ) {
+      return null;
+    }
+
+    const result = await this.authStore.migrateFromDirectory(this.authDir);
+
+    this.logger.info("🚚 Migración de auth a Redis completada", {
+      migrated: result.migrated.length,
+      skipped: result.skipped.length,
+    });
+
+    return result;
+  }
+
   /**
    * 🗑️ Elimina una sesión
    */
@@ -152,6 +265,80 @@ class WhatsAppService {
     return await this.sessionManager.runWatchdog();
   }
 
+  /**
+   * 📸 Obtiene el QR vigente de una sesión
+   */
+  async getQrSnapshot(sessionId) {
+    return await this.qrManager.getQrSnapshot(sessionId);
+  }
+
+  /**
+   * 📜 Historial de lifecycle de una sesión (filtrado y paginado)
+   */
+  async getLifecycleHistory(sessionId, filters = {}) {
+    return await this.stateManager.queryLifecycle(sessionId, filters);
+  }
+
+  /**
+   * 📊 Resumen de reconexiones de todas las sesiones
+   */
+  async getLifecycleSummary() {
+    return await this.stateManager.getLifecycleSummary();
+  }
+
+  /**
+   * ⚙️ Configuración efectiva de una sesión
+   */
+  async getSessionSettings(sessionId) {
+    return await this.settings.get(sessionId);
+  }
+
+  /**
+   * ✏️ Actualiza la configuración de una sesión
+   */
+  async updateSessionSettings(sessionId, patch) {
+    return await this.settings.update(sessionId, patch);
+  }
+
+  // ==========================================
+  // 🏷️ API Pública - Ownership (multi-réplica)
+  // ==========================================
+
+  /**
+   * ❤️ Inicia el heartbeat de leases
+   */
+  async startOwnership() {
+    return await this.ownershipManager.start();
+  }
+
+  /**
+   * 🛑 Detiene el heartbeat y libera los leases propios
+   */
+  async stopOwnership() {
+    return await this.ownershipManager.stop();
+  }
+
+  /**
+   * 🧲 Adopta sesiones de nodos caídos
+   */
+  async adoptOrphanSessions() {
+    return await this.sessionManager.adoptOrphanSessions();
+  }
+
+  /**
+   * 🏠 Indica si la sesión corre en este nodo
+   */
+  isLocalSession(sessionId) {
+    return this.sessionManager.isLocalSession(sessionId);
+  }
+
+  /**
+   * 🔍 Nodo dueño de la sesión
+   */
+  async getSessionOwner(sessionId) {
+    return await this.ownershipManager.getOwner(sessionId);
+  }
+
   // ==========================================
   // 🔍 API Pública - Validación y Estado
   // ==========================================
@@ -0,0 +1,277 @@
+// src/services/whatsapp/ownership.manager.js
+
+/**
+ * 🏷️ Gestor de Propiedad de Sesiones (multi-réplica)
+ *
+ * Responsabilidad:
+ * - Lease por sessionId en Redis (solo un nodo abre el socket)
+ * - Renovar leases con heartbeat y detectar leases perdidos
+ * - Tomar el lease de un nodo caído
+ * - Registro compartido de sesiones para adopción entre nodos
+ *
+ * Con cluster.enabled = false todo es local (comportamiento de un solo nodo).
+ */
+
+const os = require("os");
+
+// Toma el lease si está libre, es propio o su nodo dejó de latir
+// Retorna: 0 = ocupado, 1 = adquirido/renovado, 2 = tomado de nodo caído
+const ACQUIRE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+local owner = cjson.decode(current)
+if owner.nodeId == ARGV[3] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+if redis.call('EXISTS', ARGV[4] .. owner.nodeId) == 0 then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 2
+end
+return 0
+`;
+
+// Renueva solo si el lease sigue siendo nuestro
+const RENEW_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if cjson.decode(current).nodeId ~= ARGV[1] then return 0 end
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return 1
+`;
+
+// Libera solo si el lease sigue siendo nuestro
+const RELEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if cjson.decode(current).nodeId ~= ARGV[1] then return 0 end
+return redis.call('DEL', KEYS[1])
+`;
+
+class OwnershipManager {
+  constructor(redis, logger, config = {}) {
+    this.redis = redis;
+    this.logger = logger;
+
+    const cluster = config?.cluster || {};
+    this.enabled = Boolean(cluster.enabled);
+    this.nodeId = cluster.nodeId || `${os.hostname()}-${process.pid}`;
+    this.advertiseUrl = cluster.advertiseUrl || null;
+    this.leaseTtlMs = cluster.leaseTtlMs ?? 30000;
+    this.heartbeatIntervalMs = cluster.heartbeatIntervalMs ?? 10000;
+
+    // Leases que este nodo cree tener
+    this.heldLeases = new Set(); // sessionId
+
+    // Callback cuando otro nodo se queda con una sesión nuestra
+    this.onLeaseLost = null; // async (sessionId) => {}
+
+    this.heartbeatInterval = null;
+  }
+
+  keys = {
+    lease: (sessionId) => `cluster:lease:${sessionId}`,
+    nodePrefix: "cluster:node:",
+    node: (nodeId) => `cluster:node:${nodeId}`,
+    registry: "cluster:sessions",
+  };
+
+  /**
+   * 🔒 Intenta adquirir el lease de una sesión
+   *
+   * @returns {Promise<{ acquired: boolean, takeover: boolean, owner: object|null }>}
+   */
+  async acquire(sessionId) {
+    if (!this.enabled) {
+      this.heldLeases.add(sessionId);
+      return { acquired: true, takeover: false, owner: null };
+    }
+
+    const previous = await this.getOwner(sessionId);
+    const result = await this.redis.eval(
+      ACQUIRE_SCRIPT,
+      1,
+      this.keys.lease(sessionId),
+      JSON.stringify({
+        nodeId: this.nodeId,
+        url: this.advertiseUrl,
+        acquiredAt: Date.now(),
+      }),
+      this.leaseTtlMs,
+      this.nodeId,
+      this.keys.nodePrefix
+    );
+
+    if (result === 0) {
+      return { acquired: false, takeover: false, owner: previous };
+    }
+
+    this.heldLeases.add(sessionId);
+
+    if (result === 2) {
+      this.logger.warn("🏷️ Lease tomado de un nodo caído", {
+        sessionId,
+        previousOwner: previous?.nodeId,
+        nodeId: this.nodeId,
+      });
+    }
+
+    return { acquired: true, takeover: result === 2, owner: previous };
+  }
+
+  /**
+   * 🔓 Libera el lease de una sesión (si es nuestro)
+   */
+  async release(sessionId) {
+    this.heldLeases.delete(sessionId);
+    if (!this.enabled) return;
+
+    try {
+      await this.redis.eval(
+        RELEASE_SCRIPT,
+        1,
+        this.keys.lease(sessionId),
+        this.nodeId
+      );
+    } catch (error) {
+      this.logger.error("❌ Error liberando lease", error, { sessionId });
+    }
+  }
+
+  /**
+   * 🔍 Obtiene el dueño actual de una sesión
+   *
+   * @returns {Promise<{ nodeId: string, url: string|null, alive: boolean, local: boolean }|null>}
+   */
+  async getOwner(sessionId) {
+    if (!this.enabled) {
+      return this.heldLeases.has(sessionId)
+        ? { nodeId: this.nodeId, url: null, alive: true, local: true }
+        : null;
+    }
+
+    const raw = await this.redis.get(this.keys.lease(sessionId));
+    if (!raw) return null;
+
+    const owner = JSON.parse(raw);
+    const alive = (await this.redis.exists(this.keys.node(owner.nodeId))) === 1;
+
+    return {
+      nodeId: owner.nodeId,
+      url: owner.url || null,
+      alive,
+      local: owner.nodeId === this.nodeId,
+    };
+  }
+
+  /**
+   * 🏠 Indica si la sesión corre en este nodo
+   */
+  isLocal(sessionId) {
+    return this.heldLeases.has(sessionId);
+  }
+
+  /**
+   * 📒 Registro compartido de sesiones (para adopción tras caída de un nodo)
+   *
+   * @returns {Promise<boolean>} - true si la sesión no estaba registrada
+   */
+  async registerSession(sessionId, meta = {}) {
+    if (!this.enabled) return false;
+    const created = await this.redis.hset(
+      this.keys.registry,
+      sessionId,
+      JSON.stringify({ ...meta, registeredAt: Date.now() })
+    );
+    return created === 1;
+  }
+
+  async unregisterSession(sessionId) {
+    if (!this.enabled) return;
+    await this.redis.hdel(this.keys.registry, sessionId);
+  }
+
+  async listRegisteredSessions() {
+    if (!this.enabled) return [];
+
+    const entries = await this.redis.hgetall(this.keys.registry);
+    return Object.entries(entries || {}).map(([sessionId, raw]) => ({
+      sessionId,
+      ...JSON.parse(raw),
+    }));
+  }
+
+  /**
+   * ❤️ Marca el nodo como vivo y renueva los leases propios
+   */
+  async heartbeat() {
+    await this.redis.set(
+      this.keys.node(this.nodeId),
+      JSON.stringify({ url: this.advertiseUrl, at: Date.now() }),
+      "PX",
+      this.leaseTtlMs
+    );
+
+    for (const sessionId of [...this.heldLeases]) {
+      const renewed = await this.redis.eval(
+        RENEW_SCRIPT,
+        1,
+        this.keys.lease(sessionId),
+        this.nodeId,
+        this.leaseTtlMs
+      );
+
+      if (renewed === 1) continue;
+
+      this.heldLeases.delete(sessionId);
+      this.logger.warn("⚠️ Lease perdido, la sesión ya no es de este nodo", {
+        sessionId,
+        nodeId: this.nodeId,
+      });
+
+      if (this.onLeaseLost) {
+        await this.onLeaseLost(sessionId);
+      }
+    }
+  }
+
+  /**
+   * ⏰ Inicia el heartbeat periódico
+   */
+  async start() {
+    if (!this.enabled) return;
+
+    await this.heartbeat();
+
+    this.heartbeatInterval = setInterval(() => {
+      this.heartbeat().catch((err) =>
+        this.logger.error("❌ Error en heartbeat de ownership", err)
+      );
+    }, this.heartbeatIntervalMs);
+
+    this.logger.info("🏷️ Ownership de sesiones activo", {
+      nodeId: this.nodeId,
+      advertiseUrl: this.advertiseUrl,
+      leaseTtlMs: this.leaseTtlMs,
+    });
+  }
+
+  /**
+   * 🛑 Detiene el heartbeat y libera todo
+   */
+  async stop() {
+    if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+    if (!this.enabled) return;
+
+    for (const sessionId of [...this.heldLeases]) {
+      await this.release(sessionId);
+    }
+
+    await this.redis.del(this.keys.node(this.nodeId));
+  }
+}
+
+module.exports = OwnershipManager;
@@ -7,6 +7,7 @@
  * - Generar y enviar códigos QR
  * - Controlar throttle y límite de envíos
  * - Gestionar expiración de QR
+ * - Solicitar códigos de vinculación (pairing code) por número
  */
 
 class QRManager {
@@ -24,11 +25,17 @@ class QRManager {
     this.lastQrSent = new Map(); // sessionId → qr string
     this.lastQrAt = new Map(); // sessionId → timestamp ms
     this.inflightQr = new Map(); // sessionId → bool
+    this.expiredQrAt = new Map(); // sessionId → timestamp ms (último QR expirado)
+
+    // Estado de pairing code
+    this.pairingPhones = new Map(); // sessionId → phone_number
+    this.pairingWaiters = new Map(); // sessionId → [resolve]
 
     // Configuración
     this.QR_THROTTLE_MS = 5000; // 5s entre QR
     this.QR_EXPIRES_MS = 60000; // 60s vida QR
     this.MAX_QR_RETRIES = 4;
+    this.PAIRING_CODE_WAIT_MS = 20000; // espera máxima del código en /start
   }
 
   /**
@@ -72,6 +79,10 @@ class QRManager {
       await this.cacheManager.setQr(sessionId, qr);
 
       this.batchQueueManager.addQr(sessionId, qr);
+      this.stateManager.publishEvent(sessionId, "qr", {
+        qr,
+        expiresAt: Date.now() + this.QR_EXPIRES_MS,
+      });
       await this.stateManager.updateSessionStatus(
         sessionId,
         "pending",
@@ -88,6 +99,131 @@ class QRManager {
     }
   }
 
+  /**
+   * 🔢 Solicita un pairing code en lugar de publicar el QR
+   *
+   * Baileys emite `qr` cuando el socket está listo para vincular; en modo
+   * pairing aprovechamos ese momento para pedir el código de 8 caracteres.
+   * Comparte contador, límite y expiración con el flujo de QR.
+   */
+  async handlePairingCode(sock, sessionId, connection) {
+    if (!sock) return;
+
+    if (connection === "close") {
+      this.logger.debug("ℹ️ Ignorando pairing code: la sesión está cerrando", {
+        sessionId,
+        connection,
+      });
+      return;
+    }
+
+    const phoneNumber = this.pairingPhones.get(sessionId);
+    if (!phoneNumber) return;
+
+    if (!this.qrSendCount.has(sessionId)) {
+      this.qrSendCount.set(sessionId, 0);
+    }
+
+    const currentCount = this.qrSendCount.get(sessionId);
+
+    if (currentCount >= this.MAX_QR_RETRIES) {
+      this.logger.warn("⚠️ Límite de pairing codes alcanzado", { sessionId });
+      return;
+    }
+
+    // Un código vigente sigue siendo válido aunque Baileys rote el QR
+    if (this.qrTimeouts[sessionId]) return;
+
+    if (this.inflightQr.get(sessionId)) return;
+
+    this.inflightQr.set(sessionId, true);
+
+    try {
+      const code = await sock.requestPairingCode(phoneNumber);
+      const expiresAt = Date.now() + this.QR_EXPIRES_MS;
+
+      this.logger.info("🔢 Nuevo pairing code generado", { sessionId });
+
+      await this.cacheManager.setPairingCode(sessionId, code, phoneNumber);
+
+      this.batchQueueManager.addPairingCode(sessionId, code, phoneNumber);
+      this.stateManager.publishEvent(sessionId, "pairing_code", {
+        code,
+        expiresAt,
+      });
+      await this.stateManager.updateSessionStatus(
+        sessionId,
+        "pending",
+        "normal"
+      );
+
+      this.lastQrAt.set(sessionId, Date.now());
+      this.qrSendCount.set(sessionId, currentCount + 1);
+
+      this.setupQrExpiration(sessionId);
+      this.resolvePairingWaiters(sessionId, { code, expiresAt });
+    } catch (err) {
+      this.logger.error("❌ Error solicitando pairing code", err, {
+        sessionId,
+      });
+    } finally {
+      this.inflightQr.set(sessionId, false);
+    }
+  }
+
+  /**
+   * 📱 Activa el modo pairing code para una sesión
+   */
+  setPairingPhone(sessionId, phoneNumber) {
+    if (phoneNumber) {
+      this.pairingPhones.set(sessionId, phoneNumber);
+    }
+  }
+
+  isPairingMode(sessionId) {
+    return this.pairingPhones.has(sessionId);
+  }
+
+  /**
+   * ⏳ Espera el próximo pairing code de la sesión (null si no llega a tiempo)
+   */
+  waitForPairingCode(sessionId, timeoutMs = this.PAIRING_CODE_WAIT_MS) {
+    return new Promise((resolve) => {
+      const waiters = this.pairingWaiters.get(sessionId) || [];
+
+      const timer = setTimeout(() => {
+        const pending = this.pairingWaiters.get(sessionId) || [];
+        this.pairingWaiters.set(
+          sessionId,
+          pending.filter((fn) => fn !== done)
+        );
+        resolve(null);
+      }, timeoutMs);
+
+      const done = (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      };
+
+      waiters.push(done);
+      this.pairingWaiters.set(sessionId, waiters);
+    });
+  }
+
+  resolvePairingWaiters(sessionId, result) {
+    const waiters = this.pairingWaiters.get(sessionId) || [];
+    this.pairingWaiters.delete(sessionId);
+    waiters.forEach((done) => done(result));
+  }
+
+  /**
+   * 🧹 Sale del modo pairing code (sesión vinculada o eliminada)
+   */
+  clearPairing(sessionId) {
+    this.pairingPhones.delete(sessionId);
+    this.resolvePairingWaiters(sessionId, null);
+  }
+
   /**
    * ⏰ Configura expiración automática de QR
    */
@@ -109,6 +245,7 @@ class QRManager {
 
           this.clearQrState(sessionId);
           this.qrSendCount.set(sessionId, 0);
+          this.expiredQrAt.set(sessionId, Date.now());
 
           this.logger.info("⏰ QR expirado → estado reseteado", { sessionId });
         }
@@ -132,7 +269,39 @@ class QRManager {
     this.lastQrSent.delete(sessionId);
     this.lastQrAt.delete(sessionId);
     this.inflightQr.delete(sessionId);
+    this.expiredQrAt.delete(sessionId);
     this.qrSendCount.set(sessionId, 0);
+
+    // El QR cacheado deja de ser escaneable
+    this.cacheManager.clearQr(sessionId);
+  }
+
+  /**
+   * 📸 Obtiene el QR vigente de una sesión
+   *
+   * @returns {Promise<{ qr: string|null, generatedAt: number|null, expiresAt: number|null, expired: boolean }>}
+   */
+  async getQrSnapshot(sessionId) {
+    const entry = await this.cacheManager.getQrEntry(sessionId);
+
+    if (!entry?.qr) {
+      const expiredAt = this.expiredQrAt.get(sessionId) || null;
+      return {
+        qr: null,
+        generatedAt: null,
+        expiresAt: expiredAt,
+        expired: Boolean(expiredAt),
+      };
+    }
+
+    const expiresAt = entry.timestamp + this.QR_EXPIRES_MS;
+
+    return {
+      qr: entry.qr,
+      generatedAt: entry.timestamp,
+      expiresAt,
+      expired: Date.now() >= expiresAt,
+    };
   }
 
   /**
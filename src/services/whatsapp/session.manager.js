@@ -8,9 +8,11 @@
  * - Gestionar lista de sesiones activas
  * - Restaurar sesiones desde Laravel
  * - Obtener información de sesiones
+ * - Respetar el lease de la sesión cuando hay varias réplicas
  */
 
 const { sleep } = require("../../utils/helpers");
+const { AppError } = require("../../middleware/error-handler");
 
 class SessionManager {
   constructor(
@@ -22,7 +24,9 @@ class SessionManager {
     laravelApi,
     logger,
     stateManager,
-    config = {}
+    config = {},
+    ownershipManager = null,
+    receiptTracker = null
   ) {
     this.socketFactory = socketFactory;
     this.connectionManager = connectionManager;
@@ -33,6 +37,9 @@ class SessionManager {
     this.logger = logger;
     this.stateManager = stateManager;
     this.config = config;
+    this.ownershipManager = ownershipManager;
+    this.receiptTracker = receiptTracker;
+    this.groupService = null; // lo asigna el facade
 
     // Sockets activos
     this.sessions = {}; // sessionId → { sock, state, saveCreds, userId, webhookToken, reconnectAttempts, reconnecting }
@@ -58,10 +65,24 @@ class SessionManager {
 
   /**
    * 🚀 Inicia una sesión de WhatsApp
+   * @param {object} options
+   * @param {string} [options.phoneNumber] - Vincular con pairing code en lugar de QR
    */
-  async startSession(sessionId, userId, webhookToken) {
+  async startSession(sessionId, userId, webhookToken, options = {}) {
+    let ownership = null;
+
     try {
-      this.logger.info("🚀 Iniciando sesión", { sessionId, userId });
+      this.logger.info("🚀 Iniciando sesión", {
+        sessionId,
+        userId,
+        pairing: Boolean(options.phoneNumber),
+      });
+
+      ownership = await this.acquireOwnership(sessionId, userId);
+
+      if (options.phoneNumber) {
+        this.qrManager.setPairingPhone(sessionId, options.phoneNumber);
+      }
 
       if (webhookToken) {
         this.connectionManager.setWebhookToken(sessionId, webhookToken);
@@ -85,6 +106,12 @@ class SessionManager {
           await this.handleMessagesUpsert(msgUpdate, sessionId);
         },
         onCredsUpdate: saveCreds,
+        onMessagesUpdate: (updates) =>
+          this.receiptTracker?.handleMessageUpdates(sessionId, updates),
+        onReceiptUpdate: (receipts) =>
+          this.receiptTracker?.handleReceiptUpdates(sessionId, receipts),
+        onGroupParticipantsUpdate: (update) =>
+          this.groupService?.handleParticipantsUpdate(sessionId, update),
       });
 
       // Guardar sesión
@@ -110,10 +137,127 @@ class SessionManager {
         sessionId,
         userId,
       });
+
+      // El socket no llegó a abrirse: soltar el lease para no bloquear la
+      // sesión hasta que expire (y sacarla del registro si la trajo este inicio)
+      if (ownership && !this.sessions[sessionId]) {
+        await this.releaseOwnership(sessionId, ownership);
+      }
+
       throw error;
     }
   }
 
+  /**
+   * 🏷️ Toma el lease de la sesión antes de abrir el socket
+   *
+   * @returns {Promise<{ registered: boolean }|null>} - registered: la sesión
+   *   se agregó al registro en esta llamada
+   */
+  async acquireOwnership(sessionId, userId) {
+    if (!this.ownershipManager) return null;
+
+    const lease = await this.ownershipManager.acquire(sessionId);
+
+    if (!lease.acquired) {
+      throw new AppError("La sesión está activa en otro nodo", 409, {
+        sessionId,
+        owner: lease.owner?.nodeId,
+      });
+    }
+
+    if (lease.takeover) {
+      await this.stateManager.recordTransition(sessionId, "lease_takeover", {
+        previousOwner: lease.owner?.nodeId,
+        nodeId: this.ownershipManager.nodeId,
+      });
+    }
+
+    const registered = await this.ownershipManager.registerSession(sessionId, {
+      userId,
+    });
+
+    return { registered };
+  }
+
+  /**
+   * 🔓 Deshace acquireOwnership cuando el inicio falla
+   */
+  async releaseOwnership(sessionId, { registered }) {
+    try {
+      await this.ownershipManager.release(sessionId);
+      if (registered) {
+        await this.ownershipManager.unregisterSession(sessionId);
+      }
+    } catch (err) {
+      this.logger.error("❌ Error liberando ownership", err, { sessionId });
+    }
+  }
+
+  /**
+   * 🏠 Indica si la sesión corre en este nodo
+   */
+  isLocalSession(sessionId) {
+    return this.ownershipManager
+      ? this.ownershipManager.isLocal(sessionId)
+      : Boolean(this.sessions[sessionId]);
+  }
+
+  /**
+   * 🤝 Otro nodo se quedó con la sesión: cerrar el socket local sin logout
+   */
+  async relinquishSession(sessionId) {
+    const session = this.sessions[sessionId];
+
+    if (session) {
+      session.reconnecting = false;
+      try {
+        // Sin listeners: el cierre no debe disparar reconexión ni estados
+        session.sock?.ev.removeAllListeners("connection.update");
+        session.sock?.end();
+      } catch (err) {
+        this.logger.warn("⚠️ Error cerrando socket (ignorado)", { sessionId });
+      }
+      delete this.sessions[sessionId];
+    }
+
+    this.qrManager.clearQrState(sessionId);
+    this.logger.warn("🤝 Sesión cedida a otro nodo", { sessionId });
+  }
+
+  /**
+   * 🧲 Adopta sesiones registradas cuyo nodo dueño dejó de latir
+   */
+  async adoptOrphanSessions() {
+    if (!this.ownershipManager?.enabled) return;
+
+    const registered = await this.ownershipManager.listRegisteredSessions();
+
+    for (const { sessionId, userId } of registered) {
+      if (this.isLocalSession(sessionId)) continue;
+
+      try {
+        const owner = await this.ownershipManager.getOwner(sessionId);
+        if (owner?.alive) continue;
+
+        this.logger.info("🧲 Adoptando sesión huérfana", {
+          sessionId,
+          previousOwner: owner?.nodeId || null,
+        });
+
+        const webhookToken =
+          this.connectionManager.tokens[sessionId] ||
+          (await this.connectionManager.fetchWebhookToken(sessionId));
+
+        await this.startSession(sessionId, userId, webhookToken);
+      } catch (err) {
+        if (err.statusCode === 409) continue; // otro nodo se adelantó
+
+        this.logger.error("❌ Error adoptando sesión", err, { sessionId });
+      }
+    }
+  }
+
   /**
    * 📡 Maneja actualizaciones de conexión
    */
@@ -128,7 +272,15 @@ class SessionManager {
     await this.recordHeartbeat(sessionId, "connection.update");
 
     if (qr) {
-      await this.qrManager.handleQrCode(qr, sessionId, connection);
+      if (this.qrManager.isPairingMode(sessionId)) {
+        await this.qrManager.handlePairingCode(
+          this.sessions[sessionId]?.sock,
+          sessionId,
+          connection
+        );
+      } else {
+        await this.qrManager.handleQrCode(qr, sessionId, connection);
+      }
     }
 
     if (connection === "open") {
@@ -222,6 +374,14 @@ class SessionManager {
             account.webhook_token
           );
         } catch (err) {
+          if (err.statusCode === 409) {
+            this.logger.info("⏭️ Sesión restaurada por otro nodo", {
+              accountId: account.id,
+              sessionId: account.session_id,
+            });
+            continue;
+          }
+
           this.logger.error("❌ Error restaurando sesión", err, {
             accountId: account.id,
           });
@@ -264,10 +424,15 @@ class SessionManager {
       }
 
       this.qrManager.clearQrState(sessionId);
+      this.qrManager.clearPairing(sessionId);
+
+      // Liberar el lease: en shutdown otro nodo puede adoptarla
+      await this.ownershipManager?.release(sessionId);
 
       // Solo eliminar auth si NO estamos preservando
       if (!preserveAuth) {
-        this.socketFactory.removeAuthDir(sessionId);
+        await this.ownershipManager?.unregisterSession(sessionId);
+        await this.socketFactory.removeAuth(sessionId);
       } else {
         this.logger.info("💾 Credenciales preservadas para próximo reinicio", {
           sessionId,
@@ -345,6 +510,10 @@ class SessionManager {
         continue;
       }
 
+      if (!this.isLocalSession(sessionId)) {
+        continue;
+      }
+
       if (session.reconnecting) {
         this.logger.debug("⏭️ Omitiendo cleanup: reconexión activa", {
           sessionId,
@@ -434,6 +603,7 @@ class SessionManager {
     for (const [sessionId, session] of sessions) {
       if (!session) continue;
       if (session.reconnecting) continue;
+      if (!this.isLocalSession(sessionId)) continue;
 
       const lastHeartbeat =
         session.lastHeartbeatAt ||
@@ -502,10 +672,19 @@ class SessionManager {
   }
 
   /**
-   * 🗑️ Remueve una sesión de memoria
+   * 🗑️ Remueve una sesión de memoria (sesión terminada: libera el lease)
    */
   removeSession(sessionId) {
     delete this.sessions[sessionId];
+
+    if (this.ownershipManager) {
+      Promise.all([
+        this.ownershipManager.release(sessionId),
+        this.ownershipManager.unregisterSession(sessionId),
+      ]).catch((err) =>
+        this.logger.error("❌ Error liberando ownership", err, { sessionId })
+      );
+    }
   }
 
   /**
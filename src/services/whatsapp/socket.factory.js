@@ -5,37 +5,33 @@
  *
  * Responsabilidad:
  * - Crear instancias de socket Baileys configuradas
+ * - Guardar mensajes recientes en el MessageStore (citas y getMessage)
  * - Vincular event handlers
  * - Cerrar sockets correctamente
  */
 
 const {
   default: makeWASocket,
-  useMultiFileAuthState,
   fetchLatestBaileysVersion,
 } = require("@whiskeysockets/baileys");
 const pino = require("pino");
-const fs = require("fs");
-const path = require("path");
 
 class SocketFactory {
-  constructor(authDir, logger) {
-    this.authDir = authDir;
+  /**
+   * @param {FileAuthStore|RedisAuthStore} authStore - Ver auth-state.store.js
+   * @param {MessageStore} [messageStore]
+   */
+  constructor(authStore, logger, messageStore = null) {
+    this.authStore = authStore;
     this.logger = logger;
+    this.messageStore = messageStore;
   }
 
   /**
    * 🏗️ Crea un socket Baileys configurado
    */
   async createSocket(sessionId) {
-    const sessionDir = path.join(this.authDir, sessionId);
-
-    if (!fs.existsSync(sessionDir)) {
-      this.logger.info("📁 Creando directorio de sesión", { sessionDir });
-      fs.mkdirSync(sessionDir, { recursive: true });
-    }
-
-    const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
+    const { state, saveCreds } = await this.authStore.load(sessionId);
     const { version } = await fetchLatestBaileysVersion();
 
     const sock = makeWASocket({
@@ -45,8 +41,17 @@ class SocketFactory {
       browser: ["Chrome", "Windows", "10"],
       printQRInTerminal: false,
       syncFullHistory: false,
+      // Reenvío de mensajes cuando el destinatario pide retry
+      getMessage: async (key) =>
+        (await this.messageStore?.get(sessionId, key.id))?.message || undefined,
     });
 
+    if (this.messageStore) {
+      sock.ev.on("messages.upsert", ({ messages }) =>
+        this.messageStore.saveMany(sessionId, messages)
+      );
+    }
+
     return { sock, state, saveCreds };
   }
 
@@ -65,6 +70,23 @@ class SocketFactory {
     if (handlers.onCredsUpdate) {
       sock.ev.on("creds.update", handlers.onCredsUpdate);
     }
+
+    // 📬 Confirmaciones de entrega / lectura
+    if (handlers.onMessagesUpdate) {
+      sock.ev.on("messages.update", handlers.onMessagesUpdate);
+    }
+
+    if (handlers.onReceiptUpdate) {
+      sock.ev.on("message-receipt.update", handlers.onReceiptUpdate);
+    }
+
+    // 👥 Altas / bajas / cambios de admin en grupos
+    if (handlers.onGroupParticipantsUpdate) {
+      sock.ev.on(
+        "group-participants.update",
+        handlers.onGroupParticipantsUpdate
+      );
+    }
   }
 
   /**
@@ -81,15 +103,10 @@ class SocketFactory {
   }
 
   /**
-   * 🧹 Elimina directorio de autenticación
+   * 🧹 Elimina credenciales de autenticación
    */
-  removeAuthDir(sessionId) {
-    const sessionDir = path.join(this.authDir, sessionId);
-
-    if (fs.existsSync(sessionDir)) {
-      fs.rmSync(sessionDir, { recursive: true, force: true });
-      this.logger.info("🗑️ Directorio de auth eliminado", { sessionDir });
-    }
+  async removeAuth(sessionId) {
+    await this.authStore.remove(sessionId);
   }
 }
 
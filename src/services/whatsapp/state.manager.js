@@ -7,14 +7,22 @@
  * - Sincronizar estados con Redis
  * - Sincronizar estados con Laravel (vía batch)
  * - Gestionar cache local de sesiones activas
+ * - Publicar eventos en tiempo real (SSE / WebSocket)
  */
 
 class StateManager {
-  constructor(cacheManager, batchQueueManager, logger, config = {}) {
+  constructor(
+    cacheManager,
+    batchQueueManager,
+    logger,
+    config = {},
+    eventBus = null
+  ) {
     this.cacheManager = cacheManager;
     this.batchQueueManager = batchQueueManager;
     this.logger = logger;
     this.config = config;
+    this.eventBus = eventBus;
 
     // Cache local de estado de sesión
     this.sessionActiveCache = new Map(); // sessionId → { active, timestamp }
@@ -55,9 +63,28 @@ class StateManager {
       reconnectEligible: estado === "active" || estado === "connecting",
     });
 
+    this.publishEvent(sessionId, "status", { status: estado, priority });
+
     this.logger.info(`✅ Estado actualizado a ${estado}`, { sessionId });
   }
 
+  /**
+   * 📡 Publica un evento en tiempo real (no-op si no hay bus)
+   */
+  publishEvent(sessionId, type, data = {}, timestamp = Date.now()) {
+    if (!this.eventBus) return;
+
+    try {
+      this.eventBus.publish(sessionId, type, data, timestamp);
+    } catch (error) {
+      this.logger.warn("⚠️ Error publicando evento en tiempo real", {
+        sessionId,
+        type,
+        error: error?.message,
+      });
+    }
+  }
+
   /**
    * 🧹 Limpia cache de sesión
    */
@@ -151,9 +178,135 @@ class StateManager {
       );
     }
 
+    this.publishEvent(
+      sessionId,
+      "lifecycle",
+      { event, meta },
+      payload.timestamp
+    );
+
     this.logger.debug(`🔁 Evento ${event}`, { sessionId, meta });
   }
 
+  /**
+   * 📜 Consulta el historial de lifecycle de una sesión
+   *
+   * @param {object} filters
+   * @param {string[]} [filters.events] - Tipos de evento a incluir
+   * @param {number} [filters.from] - Desde (epoch ms, inclusive)
+   * @param {number} [filters.to] - Hasta (epoch ms, inclusive)
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {Promise<{ total: number, events: object[] }>} - Más recientes primero
+   */
+  async queryLifecycle(sessionId, filters = {}) {
+    const { events, from, to, limit = 20, offset = 0 } = filters;
+
+    const stored = await this.cacheManager.getLifecycleEvents(
+      sessionId,
+      this.lifecycleCacheLimit
+    );
+
+    const matching = stored.filter((entry) => {
+      if (events?.length && !events.includes(entry.event)) return false;
+      if (from && entry.timestamp < from) return false;
+      if (to && entry.timestamp > to) return false;
+      return true;
+    });
+
+    return {
+      total: matching.length,
+      events: matching.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * 📊 Resumen de reconexiones de todas las sesiones con historial
+   */
+  async getLifecycleSummary() {
+    const sessionIds = await this.cacheManager.getLifecycleSessionIds();
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const stored = await this.cacheManager.getLifecycleEvents(
+        sessionId,
+        this.lifecycleCacheLimit
+      );
+      sessions.push(this.summarizeLifecycle(sessionId, stored.reverse()));
+    }
+
+    const durations = sessions.flatMap((s) => s.reconnectDurationsMs);
+    const totalDuration = durations.reduce((acc, ms) => acc + ms, 0);
+
+    return {
+      totalSessions: sessions.length,
+      reconnects: sessions.reduce((acc, s) => acc + s.reconnects, 0),
+      reconnectSuccesses: durations.length,
+      reconnectsExhausted: sessions.reduce((acc, s) => acc + s.exhausted, 0),
+      avgReconnectDurationMs: durations.length
+        ? Math.round(totalDuration / durations.length)
+        : null,
+      sessionsInResilience: sessions
+        .filter((s) => s.inResilience)
+        .map((s) => s.sessionId),
+      sessions: sessions.map(({ reconnectDurationsMs, ...rest }) => ({
+        ...rest,
+        avgReconnectDurationMs: reconnectDurationsMs.length
+          ? Math.round(
+              reconnectDurationsMs.reduce((acc, ms) => acc + ms, 0) /
+                reconnectDurationsMs.length
+            )
+          : null,
+      })),
+    };
+  }
+
+  /**
+   * 🧮 Resume los eventos (en orden cronológico) de una sesión
+   */
+  summarizeLifecycle(sessionId, events) {
+    const resilienceEnd = new Set([
+      "reconnect_success",
+      "reconnect_exhausted",
+      "reconnect_resilience_timeout",
+      "reconnect_aborted_active",
+      "session_open",
+    ]);
+
+    const summary = {
+      sessionId,
+      reconnects: 0,
+      exhausted: 0,
+      reconnectDurationsMs: [],
+      inResilience: false,
+      lastEvent: null,
+      lastEventAt: null,
+    };
+
+    for (const entry of events) {
+      if (entry.event === "reconnect_started") summary.reconnects += 1;
+      if (entry.event === "reconnect_exhausted") summary.exhausted += 1;
+
+      if (
+        entry.event === "reconnect_success" &&
+        typeof entry.meta?.durationMs === "number"
+      ) {
+        summary.reconnectDurationsMs.push(entry.meta.durationMs);
+      }
+
+      if (entry.event === "reconnect_resilience_mode") {
+        summary.inResilience = true;
+      } else if (resilienceEnd.has(entry.event)) {
+        summary.inResilience = false;
+      }
+
+      summary.lastEvent = entry.event;
+      summary.lastEventAt = entry.timestamp;
+    }
+
+    return summary;
+  }
+
   async incrementCleanupMiss(sessionId) {
     return await this.cacheManager.incrementCleanupMiss(sessionId);
   }
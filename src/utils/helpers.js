@@ -13,6 +13,59 @@ async function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Convierte epoch ms o fecha ISO a epoch ms
+ * @param {string|number|undefined} value
+ * @returns {number|null} - null si está vacío o no es una fecha válida
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const asNumber = Number(value);
+  if (Number.isFinite(asNumber)) return asNumber;
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Reconstruye un Buffer que pasó por JSON (p. ej. datos de un job de Bull)
+ * @param {Buffer|Uint8Array|object|string|null} value
+ * @returns {Buffer|null}
+ */
+function toBuffer(value) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  if (typeof value === "string") return Buffer.from(value, "base64");
+
+  // { type: "Buffer", data: [...] } (Buffer.toJSON)
+  if (Array.isArray(value.data)) return Buffer.from(value.data);
+
+  // { "0": 12, "1": 34, ... } (Uint8Array serializado)
+  if (typeof value === "object") return Buffer.from(Object.values(value));
+
+  return null;
+}
+
+/**
+ * Convierte números de protobuf (Long o { low, high } tras JSON) a Number
+ * @param {number|string|object|null} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "object" && "low" in value) {
+    return (value.high >>> 0) * 2 ** 32 + (value.low >>> 0);
+  }
+
+  const asNumber = Number(value);
+  return Number.isFinite(asNumber) ? asNumber : null;
+}
+
 module.exports = {
   sleep,
+  parseTimestamp,
+  toBuffer,
+  toNumber,
 };
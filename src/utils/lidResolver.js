@@ -245,6 +245,29 @@ function isValidUserJid(jid) {
   );
 }
 
+/**
+ * 👥 ¿Es un grupo?
+ */
+function isGroupJid(jid) {
+  return Boolean(jid && jid.endsWith("@g.us"));
+}
+
+/**
+ * 🎯 Número (o JID de grupo @g.us) → JID de destino
+ *
+ * @param {string} waId - "573001234567" o "120363...@g.us"
+ * @returns {string}
+ */
+function toJid(waId) {
+  const id = String(waId);
+
+  if (id.endsWith("@g.us") || id.endsWith("@s.whatsapp.net")) {
+    return id;
+  }
+
+  return id + "@s.whatsapp.net";
+}
+
 /**
  * 📋 Lista los mapeos LID detectados
  */
@@ -309,5 +332,7 @@ function listLidMappings(sessionId, logger = console) {
 module.exports = {
   resolveLid,
   isValidUserJid,
+  isGroupJid,
+  toJid,
   listLidMappings,
 };
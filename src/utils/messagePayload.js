@@ -0,0 +1,472 @@
+// src/utils/messagePayload.js
+
+/**
+ * 🧩 Payloads de mensajes salientes
+ *
+ * Valida el body de /send-message para los tipos que requieren estructura
+ * (antes de encolar, para responder 400 en lugar de terminar en dead-letter)
+ * y arma el contenido de los tipos que no son un simple media/texto.
+ *
+ * Tipos interactivos:
+ * - buttons:  body, buttons[{ id, title }] (1-3), header?, footer?
+ * - list:     body, button_text, sections[{ title?, rows[{ id, title, description? }] }], title?, footer?
+ * - template: body, buttons[{ type: quick_reply|url|call, title, id|url|phone }] (1-3), header?, footer?
+ *
+ * Otros:
+ * - location:      latitude, longitude, name?, address?
+ * - live_location: latitude, longitude, caption?, accuracy_meters?
+ * - contact:       contacts[{ name, phone, organization?, email?, url? }] o contacts[{ vcard }]
+ * - sticker:       mediaUrl (WebP)
+ * - audio:         mediaUrl (http(s) de un host público: la lee ffmpeg)
+ *
+ * Comunes a todos: reply_to_wam_id? (mensaje a citar)
+ * mentions? (números): solo texto y media con caption (ver NO_MENTION_TYPES)
+ */
+
+const { buildVcard } = require("./vcard");
+const { isPublicUrl } = require("./privateNetwork");
+
+const LIMITS = {
+  buttons: 3,
+  buttonTitle: 20,
+  listRows: 10,
+  listSections: 10,
+  rowTitle: 24,
+  rowDescription: 72,
+  bodyText: 1024,
+};
+
+const TEMPLATE_BUTTON_TYPES = ["quick_reply", "url", "call"];
+
+// Tipos sin texto donde mencionar (o enviados con relayMessage, que no
+// agrega las menciones): se rechazan en lugar de ignorarlas en silencio
+const NO_MENTION_TYPES = [
+  "buttons",
+  "list",
+  "template",
+  "location",
+  "live_location",
+  "contact",
+  "sticker",
+];
+
+const isText = (value, max) =>
+  typeof value === "string" && value.trim() !== "" && value.length <= max;
+
+const isInRange = (value, min, max) =>
+  value !== null &&
+  value !== "" &&
+  Number.isFinite(Number(value)) &&
+  Number(value) >= min &&
+  Number(value) <= max;
+
+/**
+ * Valida latitude/longitude
+ */
+function validateCoordinates(payload, errors) {
+  if (!isInRange(payload.latitude, -90, 90)) {
+    errors.push("latitude debe ser un número entre -90 y 90");
+  }
+  if (!isInRange(payload.longitude, -180, 180)) {
+    errors.push("longitude debe ser un número entre -180 y 180");
+  }
+}
+
+/**
+ * Valida body/header/footer comunes a los interactivos
+ */
+function validateTexts(payload, errors) {
+  if (!isText(payload.body, LIMITS.bodyText)) {
+    errors.push(`body es requerido (máx. ${LIMITS.bodyText} caracteres)`);
+  }
+
+  for (const field of ["header", "footer", "title"]) {
+    if (payload[field] !== undefined && !isText(payload[field], 60)) {
+      errors.push(`${field} debe ser texto de hasta 60 caracteres`);
+    }
+  }
+}
+
+/**
+ * Valida que los ids no se repitan (WhatsApp los devuelve en la respuesta)
+ */
+function validateUniqueIds(ids, errors) {
+  const seen = new Set();
+
+  for (const id of ids) {
+    if (seen.has(id)) errors.push(`id repetido: ${id}`);
+    seen.add(id);
+  }
+}
+
+const VALIDATORS = {
+  buttons(payload, errors) {
+    validateTexts(payload, errors);
+
+    const { buttons } = payload;
+    if (
+      !Array.isArray(buttons) ||
+      buttons.length === 0 ||
+      buttons.length > LIMITS.buttons
+    ) {
+      errors.push(`buttons debe tener entre 1 y ${LIMITS.buttons} elementos`);
+      return;
+    }
+
+    buttons.forEach((button, i) => {
+      if (!isText(String(button?.id ?? ""), 256)) {
+        errors.push(`buttons[${i}].id es requerido`);
+      }
+      if (!isText(button?.title, LIMITS.buttonTitle)) {
+        errors.push(
+          `buttons[${i}].title es requerido (máx. ${LIMITS.buttonTitle} caracteres)`
+        );
+      }
+    });
+
+    validateUniqueIds(
+      buttons.map((b) => String(b?.id)),
+      errors
+    );
+  },
+
+  list(payload, errors) {
+    validateTexts(payload, errors);
+
+    if (!isText(payload.button_text, LIMITS.buttonTitle)) {
+      errors.push(
+        `button_text es requerido (máx. ${LIMITS.buttonTitle} caracteres)`
+      );
+    }
+
+    const { sections } = payload;
+    if (
+      !Array.isArray(sections) ||
+      sections.length === 0 ||
+      sections.length > LIMITS.listSections
+    ) {
+      errors.push(
+        `sections debe tener entre 1 y ${LIMITS.listSections} elementos`
+      );
+      return;
+    }
+
+    const rows = [];
+
+    sections.forEach((section, i) => {
+      if (section?.title !== undefined && !isText(section.title, 24)) {
+        errors.push(`sections[${i}].title debe tener hasta 24 caracteres`);
+      }
+
+      if (!Array.isArray(section?.rows) || section.rows.length === 0) {
+        errors.push(`sections[${i}].rows debe tener al menos un elemento`);
+        return;
+      }
+
+      section.rows.forEach((row, j) => {
+        const at = `sections[${i}].rows[${j}]`;
+
+        if (!isText(String(row?.id ?? ""), 200)) {
+          errors.push(`${at}.id es requerido`);
+        }
+        if (!isText(row?.title, LIMITS.rowTitle)) {
+          errors.push(
+            `${at}.title es requerido (máx. ${LIMITS.rowTitle} caracteres)`
+          );
+        }
+        if (
+          row?.description !== undefined &&
+          !isText(row.description, LIMITS.rowDescription)
+        ) {
+          errors.push(
+            `${at}.description debe tener hasta ${LIMITS.rowDescription} caracteres`
+          );
+        }
+
+        rows.push(String(row?.id));
+      });
+    });
+
+    if (rows.length > LIMITS.listRows) {
+      errors.push(`la lista admite hasta ${LIMITS.listRows} filas en total`);
+    }
+
+    validateUniqueIds(rows, errors);
+  },
+
+  template(payload, errors) {
+    validateTexts(payload, errors);
+
+    const { buttons } = payload;
+    if (
+      !Array.isArray(buttons) ||
+      buttons.length === 0 ||
+      buttons.length > LIMITS.buttons
+    ) {
+      errors.push(`buttons debe tener entre 1 y ${LIMITS.buttons} elementos`);
+      return;
+    }
+
+    buttons.forEach((button, i) => {
+      const at = `buttons[${i}]`;
+
+      if (!TEMPLATE_BUTTON_TYPES.includes(button?.type)) {
+        errors.push(
+          `${at}.type debe ser uno de: ${TEMPLATE_BUTTON_TYPES.join(", ")}`
+        );
+        return;
+      }
+      if (!isText(button.title, LIMITS.buttonTitle)) {
+        errors.push(
+          `${at}.title es requerido (máx. ${LIMITS.buttonTitle} caracteres)`
+        );
+      }
+      if (
+        button.type === "quick_reply" &&
+        !isText(String(button.id ?? ""), 256)
+      ) {
+        errors.push(`${at}.id es requerido para quick_reply`);
+      }
+      if (button.type === "url" && !/^https?:\/\//.test(button.url || "")) {
+        errors.push(`${at}.url debe ser http(s)`);
+      }
+      if (
+        button.type === "call" &&
+        !/^\+?[0-9]{8,15}$/.test(String(button.phone || ""))
+      ) {
+        errors.push(`${at}.phone debe ser un número con código de país`);
+      }
+    });
+  },
+
+  location(payload, errors) {
+    validateCoordinates(payload, errors);
+  },
+
+  live_location(payload, errors) {
+    validateCoordinates(payload, errors);
+
+    if (
+      payload.accuracy_meters !== undefined &&
+      !isInRange(payload.accuracy_meters, 0, 100000)
+    ) {
+      errors.push("accuracy_meters debe ser un número positivo");
+    }
+  },
+
+  contact(payload, errors) {
+    const { contacts } = payload;
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      errors.push("contacts debe tener al menos un elemento");
+      return;
+    }
+
+    contacts.forEach((contact, i) => {
+      if (contact?.vcard) {
+        if (!/^BEGIN:VCARD/i.test(String(contact.vcard).trim())) {
+          errors.push(`contacts[${i}].vcard no es una vCard`);
+        }
+        return;
+      }
+
+      if (!isText(contact?.name, 256)) {
+        errors.push(`contacts[${i}].name es requerido`);
+      }
+      if (!/^\+?[0-9 ()-]{8,20}$/.test(String(contact?.phone || ""))) {
+        errors.push(
+          `contacts[${i}].phone debe ser un número con código de país`
+        );
+      }
+    });
+  },
+
+  audio(payload, errors) {
+    if (!isPublicUrl(payload.mediaUrl)) {
+      errors.push("mediaUrl debe ser una URL http(s) pública de un audio");
+    }
+  },
+
+  sticker(payload, errors) {
+    if (!/^https?:\/\//.test(payload.mediaUrl || "")) {
+      errors.push("mediaUrl debe ser una URL http(s) de un WebP");
+    }
+  },
+};
+
+/**
+ * ✅ Valida el payload de un tipo con estructura
+ *
+ * @param {object} payload - Body de /send-message
+ * @returns {string[]} - Errores (vacío si es válido o el tipo no requiere esquema)
+ */
+function validateMessagePayload(payload) {
+  const errors = [];
+
+  if (
+    payload?.reply_to_wam_id !== undefined &&
+    !isText(payload.reply_to_wam_id, 128)
+  ) {
+    errors.push("reply_to_wam_id debe ser un wamId");
+  }
+
+  if (payload?.mentions !== undefined) {
+    if (
+      !Array.isArray(payload.mentions) ||
+      payload.mentions.some((n) => !/^\+?[0-9]{8,15}$/.test(String(n)))
+    ) {
+      errors.push("mentions debe ser una lista de números con código de país");
+    } else if (NO_MENTION_TYPES.includes(payload.type)) {
+      errors.push(`mentions no está soportado para type ${payload.type}`);
+    }
+  }
+
+  VALIDATORS[payload?.type]?.(payload, errors);
+  return errors;
+}
+
+/**
+ * 🧩 Arma el mensaje proto de un tipo interactivo
+ *
+ * @param {object} payload - Body ya validado
+ * @returns {object} - Contenido de proto.Message para relayMessage
+ */
+function buildInteractiveMessage(payload) {
+  const { type, body, header, footer } = payload;
+
+  switch (type) {
+    case "buttons":
+      return {
+        buttonsMessage: {
+          contentText: body,
+          footerText: footer,
+          ...(header ? { headerType: 2, text: header } : { headerType: 1 }),
+          buttons: payload.buttons.map((button) => ({
+            buttonId: String(button.id),
+            buttonText: { displayText: button.title },
+            type: 1, // RESPONSE
+          })),
+        },
+      };
+
+    case "list":
+      return {
+        listMessage: {
+          title: payload.title,
+          description: body,
+          footerText: footer,
+          buttonText: payload.button_text,
+          listType: 1, // SINGLE_SELECT
+          sections: payload.sections.map((section) => ({
+            title: section.title,
+            rows: section.rows.map((row) => ({
+              rowId: String(row.id),
+              title: row.title,
+              description: row.description,
+            })),
+          })),
+        },
+      };
+
+    case "template":
+      return {
+        templateMessage: {
+          hydratedTemplate: {
+            hydratedContentText: body,
+            hydratedFooterText: footer,
+            hydratedTitleText: header,
+            hydratedButtons: payload.buttons.map((button, index) => {
+              if (button.type === "url") {
+                return {
+                  index,
+                  urlButton: { displayText: button.title, url: button.url },
+                };
+              }
+
+              if (button.type === "call") {
+                return {
+                  index,
+                  callButton: {
+                    displayText: button.title,
+                    phoneNumber: String(button.phone),
+                  },
+                };
+              }
+
+              return {
+                index,
+                quickReplyButton: {
+                  displayText: button.title,
+                  id: String(button.id),
+                },
+              };
+            }),
+          },
+        },
+      };
+
+    default:
+      throw new Error(`Tipo interactivo no soportado: ${type}`);
+  }
+}
+
+/**
+ * 📍 Contenido de una ubicación fija (sendMessage)
+ */
+function buildLocationContent(payload) {
+  return {
+    location: {
+      degreesLatitude: Number(payload.latitude),
+      degreesLongitude: Number(payload.longitude),
+      name: payload.name,
+      address: payload.address,
+    },
+  };
+}
+
+/**
+ * 📡 Mensaje proto de ubicación en tiempo real (relayMessage)
+ */
+function buildLiveLocationMessage(payload) {
+  return {
+    liveLocationMessage: {
+      degreesLatitude: Number(payload.latitude),
+      degreesLongitude: Number(payload.longitude),
+      accuracyInMeters:
+        payload.accuracy_meters !== undefined
+          ? Number(payload.accuracy_meters)
+          : undefined,
+      caption: payload.caption,
+      sequenceNumber: Date.now(),
+    },
+  };
+}
+
+/**
+ * 📇 Contenido de uno o varios contactos (sendMessage)
+ */
+function buildContactsContent(payload) {
+  const cards = payload.contacts.map((contact) => ({
+    displayName: contact.name,
+    vcard: contact.vcard || buildVcard(contact),
+  }));
+
+  return {
+    contacts: {
+      displayName:
+        cards.length === 1 ? cards[0].displayName : `${cards.length} contactos`,
+      contacts: cards,
+    },
+  };
+}
+
+const INTERACTIVE_TYPES = ["buttons", "list", "template"];
+
+module.exports = {
+  INTERACTIVE_TYPES,
+  validateMessagePayload,
+  buildInteractiveMessage,
+  buildLocationContent,
+  buildLiveLocationMessage,
+  buildContactsContent,
+};
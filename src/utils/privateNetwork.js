@@ -0,0 +1,116 @@
+// src/utils/privateNetwork.js
+
+/**
+ * 🛡️ Direcciones privadas (anti-SSRF para los webhooks propios)
+ *
+ * Un endpoint registrado por un cliente no debe poder apuntar a la red
+ * interna (Redis, Laravel, metadata del cloud en 169.254.169.254...):
+ * - isPrivateHost: validación al registrar (IP literal o localhost); también
+ *   para las URLs de media que se descargan del lado del servidor
+ * - publicLookup: DNS del agente HTTP, revisa la IP real de cada conexión
+ *   (cubre hostnames que resuelven a una IP interna)
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const blocked = new net.BlockList();
+
+[
+  ["0.0.0.0", 8], // "esta" red
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // CGNAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (metadata del cloud)
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reservado + broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv4"));
+
+[
+  ["::", 128], // sin especificar
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * 🔍 La IP es privada, loopback, link-local o reservada
+ */
+const isPrivateAddress = (address) => {
+  const ip = String(address).replace(/^\[|\]$/g, "");
+
+  // IPv4 mapeada en IPv6 (::ffff:10.0.0.1)
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(ip);
+  if (family === 4) return blocked.check(ip, "ipv4");
+  if (family === 6) return blocked.check(ip, "ipv6");
+  return false;
+};
+
+/**
+ * 🔍 Hostname de una URL que ya se sabe interno (sin resolver DNS)
+ */
+const isPrivateHost = (hostname) => {
+  const host = String(hostname).toLowerCase().replace(/\.$/, "");
+
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+};
+
+/**
+ * 🔍 URL http(s) que no apunta a la red interna (media que el servidor
+ * descarga: ffmpeg, Baileys)
+ */
+const isPublicUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) && !isPrivateHost(url.hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 🌐 dns.lookup que rechaza direcciones privadas (option lookup de
+ * http.Agent / https.Agent)
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const denied = addresses.find((entry) => isPrivateAddress(entry.address));
+
+    if (denied) {
+      const blockedError = new Error(
+        `${hostname} resuelve a una dirección privada (${denied.address})`
+      );
+      blockedError.code = "EPRIVATEADDRESS";
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  isPublicUrl,
+  publicLookup,
+};
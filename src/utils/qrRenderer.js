@@ -0,0 +1,58 @@
+// src/utils/qrRenderer.js
+
+/**
+ * 🖼️ Render de códigos QR del lado del servidor
+ *
+ * Convierte el string crudo que entrega Baileys en PNG, SVG, data-URI
+ * o texto para terminal.
+ */
+
+const QRCode = require("qrcode");
+const qrcodeTerminal = require("qrcode-terminal");
+
+const QR_FORMATS = ["png", "svg", "datauri", "terminal"];
+
+/**
+ * 🖼️ Renderiza un QR en el formato pedido
+ *
+ * @param {string} qr - String crudo del QR
+ * @param {string} format - png | svg | datauri | terminal
+ * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+ */
+async function renderQr(qr, format = "png") {
+  switch (format) {
+    case "png":
+      return {
+        contentType: "image/png",
+        body: await QRCode.toBuffer(qr, { type: "png", margin: 2, width: 300 }),
+      };
+
+    case "svg":
+      return {
+        contentType: "image/svg+xml",
+        body: await QRCode.toString(qr, { type: "svg", margin: 2 }),
+      };
+
+    case "datauri":
+      return {
+        contentType: "application/json",
+        body: await QRCode.toDataURL(qr, { margin: 2, width: 300 }),
+      };
+
+    case "terminal":
+      return {
+        contentType: "text/plain; charset=utf-8",
+        body: await new Promise((resolve) =>
+          qrcodeTerminal.generate(qr, { small: true }, resolve)
+        ),
+      };
+
+    default:
+      throw new Error(`Formato de QR no soportado: ${format}`);
+  }
+}
+
+module.exports = {
+  QR_FORMATS,
+  renderQr,
+};
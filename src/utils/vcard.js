@@ -0,0 +1,81 @@
+// src/utils/vcard.js
+
+/**
+ * 📇 vCard (3.0) para mensajes de contacto
+ *
+ * WhatsApp usa el parámetro waid en TEL para enlazar el número a su cuenta.
+ */
+
+const escape = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/[,;]/g, "\\$&");
+
+const unescape = (value) =>
+  value.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+/**
+ * 🏗️ Arma una vCard
+ *
+ * @param {object} contact - { name, phone, organization?, email?, url? }
+ * @returns {string}
+ */
+function buildVcard({ name, phone, organization, email, url }) {
+  const digits = String(phone).replace(/[^0-9]/g, "");
+  const lines = ["BEGIN:VCARD", "VERSION:3.0", `FN:${escape(name)}`];
+
+  if (organization) lines.push(`ORG:${escape(organization)}`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+  if (email) lines.push(`EMAIL:${escape(email)}`);
+  if (url) lines.push(`URL:${escape(url)}`);
+  lines.push("END:VCARD");
+
+  return lines.join("\n");
+}
+
+/**
+ * 🔍 Extrae los datos útiles de una vCard
+ *
+ * @param {string} vcard
+ * @returns {{ name: string|null, organization: string|null, phones: object[], emails: string[] }}
+ */
+function parseVcard(vcard) {
+  const result = { name: null, organization: null, phones: [], emails: [] };
+  if (!vcard) return result;
+
+  // Desdoblar líneas continuadas (RFC 2425)
+  const lines = String(vcard)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  for (const line of lines) {
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const [property, ...params] = line.slice(0, separator).split(";");
+    const value = unescape(line.slice(separator + 1).trim());
+    const name = property.replace(/^item\d+\./i, "").toUpperCase();
+
+    if (name === "FN") {
+      result.name = value;
+    } else if (name === "ORG") {
+      result.organization = value.replace(/;+$/, "") || null;
+    } else if (name === "TEL") {
+      const waid = params.find((p) => /^waid=/i.test(p));
+      result.phones.push({
+        number: value,
+        wa_id: waid ? waid.split("=")[1] : null,
+      });
+    } else if (name === "EMAIL") {
+      result.emails.push(value);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  buildVcard,
+  parseVcard,
+};
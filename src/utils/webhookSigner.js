@@ -0,0 +1,161 @@
+// src/utils/webhookSigner.js
+
+/**
+ * ✍️ Firma HMAC de las peticiones a Laravel
+ *
+ * Interceptor de axios que agrega a toda petición hacia laravelApi:
+ *   X-Timestamp: epoch en segundos
+ *   X-Signature: HMAC-SHA256(secret, "<timestamp>.<contenido>") en hex
+ *
+ * Contenido firmado:
+ * - JSON (batches): el body exacto que se envía
+ * - multipart (webhook de mensajes): PHP no expone el body crudo, así que se
+ *   firma "<campo>=<sha256 del valor>" por campo (archivos incluidos),
+ *   ordenado por nombre y unido con "\n" (ver SignedFormData)
+ *
+ * Rotación: mientras haya secreto anterior vigente, X-Signature lleva las dos
+ * firmas separadas por coma (nueva primero).
+ */
+
+const crypto = require("crypto");
+const FormData = require("form-data");
+const { parseTimestamp } = require("./helpers");
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * 📝 FormData que recuerda qué se firma de cada campo
+ */
+class SignedFormData extends FormData {
+  signedFields = {};
+
+  append(field, value, options) {
+    this.signedFields[field] = sha256(
+      Buffer.isBuffer(value) ? value : String(value ?? "")
+    );
+    return super.append(field, value, options);
+  }
+
+  signatureContent() {
+    return Object.keys(this.signedFields)
+      .sort()
+      .map((field) => `${field}=${this.signedFields[field]}`)
+      .join("\n");
+  }
+}
+
+/**
+ * 🔏 Firma HMAC-SHA256 en hex
+ *
+ * @param {string} secret
+ * @param {string} timestamp - Epoch en segundos
+ * @param {string|Buffer} content
+ */
+const computeSignature = (secret, timestamp, content) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(content)
+    .digest("hex");
+
+/**
+ * 🔑 Secretos con los que se firma ahora (vigente + anterior en rotación)
+ */
+const activeSecrets = (options, now = Date.now()) => {
+  const secrets = [options.secret];
+  const until = parseTimestamp(options.previousSecretUntil);
+
+  if (options.previousSecret && (!until || now < until)) {
+    secrets.push(options.previousSecret);
+  }
+
+  return secrets;
+};
+
+/**
+ * 📦 Contenido a firmar; los objetos se serializan aquí para firmar
+ * exactamente lo que se envía
+ */
+const signatureContent = (config) => {
+  const { data } = config;
+
+  if (data === undefined || data === null) return "";
+  if (data instanceof SignedFormData) return data.signatureContent();
+  if (typeof data === "string" || Buffer.isBuffer(data)) return data;
+
+  config.data = JSON.stringify(data);
+  config.headers.set("Content-Type", "application/json");
+
+  return config.data;
+};
+
+/**
+ * 🎯 La URL apunta a laravelApi: mismo origen y ruta bajo su path (por
+ * segmentos: /api no cubre /api-interna)
+ */
+const isLaravelUrl = (url, laravelApi) => {
+  let target;
+  let base;
+
+  try {
+    target = new URL(url);
+    base = new URL(laravelApi);
+  } catch {
+    return false;
+  }
+
+  const basePath = base.pathname.replace(/\/+$/, "");
+
+  return (
+    target.origin === base.origin &&
+    (target.pathname === basePath || target.pathname.startsWith(`${basePath}/`))
+  );
+};
+
+/**
+ * 🔌 Registra la firma en una instancia de axios
+ *
+ * Solo firma peticiones a laravelApi: la misma instancia reenvía peticiones
+ * entre réplicas, que llevan su propia firma.
+ *
+ * @param {import("axios").AxiosInstance} axios
+ * @param {string} laravelApi
+ * @param {object} options - config.webhookSigning
+ * @param {object} logger
+ */
+const attachWebhookSigner = (axios, laravelApi, options = {}, logger) => {
+  if (!options.secret) {
+    logger.warn(
+      "⚠️ WEBHOOK_SECRET no configurado: las peticiones a Laravel van sin firma"
+    );
+    return;
+  }
+
+  axios.interceptors.request.use((config) => {
+    if (!isLaravelUrl(config.url, laravelApi)) return config;
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const content = signatureContent(config);
+
+    config.headers.set("X-Timestamp", timestamp);
+    config.headers.set(
+      "X-Signature",
+      activeSecrets(options)
+        .map((secret) => computeSignature(secret, timestamp, content))
+        .join(",")
+    );
+
+    return config;
+  });
+
+  logger.info("✍️ Firma de peticiones a Laravel activa", {
+    rotating: activeSecrets(options).length > 1,
+  });
+};
+
+module.exports = {
+  SignedFormData,
+  computeSignature,
+  attachWebhookSigner,
+};